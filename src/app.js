@@ -6,11 +6,20 @@ const http = require('http');
 
 const connectDB = require('./config/database');
 const { initializeSocket } = require('./config/socket');
-const { initializeFirebase } = require('./services/push');
+const { initializeFirebase, migrateLegacyFcmTokens } = require('./services/push');
 const { setupGraphQL } = require('./graphql');
+const { startAccountDeletionSweep } = require('./services/accountDeletion');
+const { startExportCleanup } = require('./services/export');
+const { backfillEmailVerified } = require('./services/accountMerge');
+const { isLocalStorage, getUploadDir } = require('./services/storage');
+const { backfillPhoneHashes } = require('./services/phone');
+const { bootstrapAdmins } = require('./services/admin');
+const { startRequestExpirySweep } = require('./services/connectionRequests');
 
 // Import routes
 const authRoutes = require('./routes/auth');
+const twoFactorRoutes = require('./routes/twoFactor');
+const accessTokenRoutes = require('./routes/accessTokens');
 const userRoutes = require('./routes/users');
 const connectionRoutes = require('./routes/connections');
 const statusRoutes = require('./routes/status');
@@ -18,6 +27,12 @@ const notificationRoutes = require('./routes/notifications');
 const locationRoutes = require('./routes/location');
 const cycleRoutes = require('./routes/cycle');
 const subscriptionRoutes = require('./routes/subscription');
+const deviceRoutes = require('./routes/devices');
+const exportRoutes = require('./routes/export');
+const adminRoutes = require('./routes/admin');
+const blockRoutes = require('./routes/blocks');
+const reportRoutes = require('./routes/reports');
+const inviteRoutes = require('./routes/invites');
 
 const app = express();
 const server = http.createServer(app);
@@ -31,11 +46,47 @@ initializeFirebase();
 // Connect to MongoDB
 connectDB();
 
+// Purge accounts whose deletion grace period has ended
+startAccountDeletionSweep();
+
+// Remove data export archives past their expiry
+startExportCleanup();
+
+// Mark email addresses proven before the emailVerified flag existed
+const backfillDone = backfillEmailVerified().catch(err => {
+  console.error('Email verification backfill error:', err);
+});
+
+// Expire connection requests nobody answered
+startRequestExpirySweep();
+
+// Carry push tokens over from before the device registry existed
+migrateLegacyFcmTokens().catch(err => {
+  console.error('Legacy FCM token migration error:', err);
+});
+
+// Normalise and hash phone numbers stored before contact sync existed
+backfillPhoneHashes().catch(err => {
+  console.error('Phone hash backfill error:', err);
+});
+
+// Grant the admin role to the accounts listed in ADMIN_EMAILS, once the
+// backfill has marked which addresses are proven
+backfillDone.then(bootstrapAdmins).catch(err => {
+  console.error('Admin bootstrap error:', err);
+});
+
 // Initialize GraphQL
 setupGraphQL(app).catch(err => {
   console.error('Failed to setup GraphQL:', err);
 });
 
+// Behind a load balancer, trust X-Forwarded-For so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Middleware
 app.use(helmet());
 app.use(cors());
@@ -51,6 +102,16 @@ app.use((req, res, next) => {
 
 app.use(express.urlencoded({ extended: true }));
 
+// Uploaded files when using local storage (S3 serves its own)
+// Upload keys are never reused, so files can be cached forever
+if (isLocalStorage()) {
+  app.use('/uploads', express.static(getUploadDir(), {
+    immutable: true,
+    maxAge: '1y',
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
+
 // Health check
 app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
@@ -58,13 +119,21 @@ app.get('/health', (req, res) => {
 
 // API Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/tokens', accessTokenRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/connections', connectionRoutes);
+app.use('/api/blocks', blockRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/invites', inviteRoutes);
 app.use('/api/status', statusRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/location', locationRoutes);
 app.use('/api/cycle', cycleRoutes);
 app.use('/api/subscription', subscriptionRoutes);
+app.use('/api/devices', deviceRoutes);
+app.use('/api/export', exportRoutes);
+app.use('/api/admin', adminRoutes);
 
 // 404 handler
 app.use((req, res) => {
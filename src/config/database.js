@@ -5,7 +5,7 @@ const connectDB = async () => {
     const conn = await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/couple-app');
     console.log(`MongoDB Connected: ${conn.connection.host}`);
 
-    // Seed default statuses if they don't exist
+    // Seed default statuses on a fresh database. Afterwards admins manage the catalogue.
     const Status = require('../models/Status');
     const defaultStatuses = [
       { name: 'Available', emoji: '🟢', isDefault: true },
@@ -13,14 +13,13 @@ const connectDB = async () => {
       { name: 'Do Not Disturb', emoji: '⛔', isDefault: true }
     ];
 
-    for (const status of defaultStatuses) {
-      await Status.findOneAndUpdate(
-        { name: status.name, isDefault: true },
-        status,
-        { upsert: true, new: true }
-      );
+    if (!(await Status.exists({ isDefault: true }))) {
+      await Status.insertMany(defaultStatuses);
+      console.log('Default statuses seeded');
     }
-    console.log('Default statuses seeded');
+
+    const Otp = require('../models/Otp');
+    await Otp.dropLegacyTtlIndex();
 
   } catch (error) {
     console.error(`Error: ${error.message}`);
@@ -1,5 +1,6 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const { authenticateAccessToken } = require('../services/session');
+const { userConnected, userDisconnected, heartbeat } = require('../services/presence');
 
 let io;
 
@@ -12,40 +13,51 @@ const initializeSocket = (server) => {
   });
 
   // Authentication middleware for socket connections
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token;
     if (!token) {
       return next(new Error('Authentication error'));
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      socket.userId = decoded.userId;
+      const { user, session } = await authenticateAccessToken(token);
+      if (!user) {
+        return next(new Error('Authentication error'));
+      }
+      socket.userId = user._id.toString();
+      socket.sessionId = session._id.toString();
       next();
     } catch (err) {
-      next(new Error('Authentication error'));
+      next(new Error(err.name === 'AccountBannedError' ? 'Account banned' : 'Authentication error'));
     }
   });
 
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.userId}`);
 
-    // Join user's personal room
+    // Join user's personal room, and a session room so revoking the session can kick this socket
     socket.join(`user:${socket.userId}`);
+    socket.join(`session:${socket.sessionId}`);
 
-    // Handle location updates
-    socket.on('location:update', (data) => {
-      // Broadcast to connected users
-      socket.broadcast.emit(`location:${socket.userId}`, data);
+    userConnected(socket.userId, socket.id);
+
+    // Sent periodically by the app while it's in use
+    socket.on('presence:heartbeat', () => {
+      heartbeat(socket.userId);
     });
 
-    // Handle status updates
-    socket.on('status:update', (data) => {
-      socket.broadcast.emit(`status:${socket.userId}`, data);
+    // Live location, relayed only to the people the user shares it with
+    socket.on('location:update', (data) => {
+      // Required here: the location service loads this module
+      const { relayLiveLocation } = require('../services/location');
+      relayLiveLocation(socket.userId, data).catch(err => {
+        console.error('Live location relay error:', err);
+      });
     });
 
     socket.on('disconnect', () => {
       console.log(`User disconnected: ${socket.userId}`);
+      userDisconnected(socket.userId, socket.id);
     });
   });
 
@@ -75,4 +87,12 @@ const sendToUsers = (userIds, event, data) => {
   }
 };
 
-module.exports = { initializeSocket, getIO, sendToUser, sendToUsers };
+// Disconnect every socket opened with a session's tokens
+const disconnectSession = (sessionId) => {
+  if (io) {
+    io.to(`session:${sessionId}`).emit('session:revoked', { sessionId });
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  }
+};
+
+module.exports = { initializeSocket, getIO, sendToUser, sendToUsers, disconnectSession };
@@ -1,7 +1,11 @@
 const { ApolloServer } = require('@apollo/server');
 const { expressMiddleware } = require('@apollo/server/express4');
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { GraphQLError } = require('graphql');
+const {
+  authenticateAccessToken,
+  isPersonalAccessToken,
+  authenticatePersonalAccessToken
+} = require('../services/session');
 const typeDefs = require('./typeDefs');
 const resolvers = require('./resolvers');
 
@@ -25,32 +29,42 @@ const createApolloServer = () => {
   });
 };
 
-// Context function to extract user from JWT token
+// Context function to extract user from a JWT or personal access token
+// Tokens of revoked sessions leave the user unauthenticated; banned users are refused
+// Resolvers check personal access token scopes through requireAuth
 const createContext = async ({ req }) => {
-  const context = { user: null };
+  const context = { user: null, session: null, accessToken: null };
 
   try {
     const authHeader = req.headers.authorization;
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from database
-      const user = await User.findById(decoded.userId).select('-customStatuses -customNotifications');
+      const { user, session, accessToken } = isPersonalAccessToken(token)
+        ? await authenticatePersonalAccessToken(token, req.ip)
+        : await authenticateAccessToken(token);
 
       if (user) {
+        context.session = session || null;
+        context.accessToken = accessToken || null;
         context.user = {
           _id: user._id,
           name: user.name,
           email: user.email,
           phone: user.phone,
           avatar: user.avatar,
-          isPremium: user.isPremium
+          isPremium: user.isPremium,
+          timezone: user.timezone,
+          locale: user.locale
         };
       }
     }
   } catch (error) {
+    if (error.name === 'AccountBannedError') {
+      throw new GraphQLError('This account has been suspended', {
+        extensions: { code: 'ACCOUNT_BANNED', http: { status: 403 } }
+      });
+    }
     // Token invalid or expired - user remains null
     console.error('GraphQL auth error:', error.message);
   }
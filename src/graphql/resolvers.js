@@ -4,18 +4,42 @@ const Status = require('../models/Status');
 const Notification = require('../models/Notification');
 const Cycle = require('../models/Cycle');
 const Location = require('../models/Location');
+const Session = require('../models/Session');
+const Block = require('../models/Block');
+const Invite = require('../models/Invite');
 const { CacheService } = require('../services/cache');
 const { sendToUser, sendToUsers } = require('../config/socket');
-const { sendPushNotification } = require('../services/push');
+const { sendPushToUser } = require('../services/push');
+const { bindSessionDevice, revokeSession, revokeAllSessions } = require('../services/session');
+const {
+  confirmAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountDeletion');
+const { getLock, recordFailure } = require('../services/rateLimit');
+const { deleteAvatarFiles } = require('../services/avatar');
+const { getPresence } = require('../services/presence');
+const { blockUser, unblockUser } = require('../services/blocking');
+const { createReport } = require('../services/reports');
+const { checkSendLimits, recordSentRequest } = require('../services/connectionRequests');
+const { createInvite, formatInvite } = require('../services/invites');
+const { isValidTimeZone, normalizeLocale, parseBirthday, parseCalendarDate } = require('../services/calendar');
 const { GraphQLError } = require('graphql');
 
 // Helper to check authentication
-const requireAuth = (context) => {
+// Personal access tokens only pass when the resolver names a scope they were granted
+const requireAuth = (context, scope = null) => {
   if (!context.user) {
     throw new GraphQLError('Not authenticated', {
       extensions: { code: 'UNAUTHENTICATED' }
     });
   }
+  if (context.accessToken && !(scope && context.accessToken.hasScope(scope))) {
+    throw new GraphQLError(
+      scope ? `This token is missing the ${scope} scope` : 'Personal access tokens cannot be used for this operation',
+      { extensions: { code: 'INSUFFICIENT_SCOPE', requiredScope: scope } }
+    );
+  }
   return context.user;
 };
 
@@ -57,6 +81,9 @@ const resolvers = {
         email: fullUser.email,
         avatar: fullUser.avatar,
         isPremium: fullUser.isPremium,
+        timezone: fullUser.timezone,
+        locale: fullUser.locale,
+        birthday: fullUser.birthday ? fullUser.birthday.toISOString().split('T')[0] : null,
         status: formatUserStatus(fullUser),
         customStatuses: fullUser.customStatuses,
         customNotifications: fullUser.customNotifications
@@ -64,10 +91,12 @@ const resolvers = {
     },
 
     user: async (_, { id }, context) => {
-      requireAuth(context);
+      const viewer = requireAuth(context);
+      if (await Block.isBlockedBetween(viewer._id, id)) return null;
+
       const user = await User.findById(id)
         .populate('currentStatus')
-        .select('name avatar currentStatus currentCustomStatus customStatuses lastActive');
+        .select('name avatar currentStatus currentCustomStatus customStatuses lastActive privacy');
 
       if (!user) return null;
 
@@ -76,7 +105,7 @@ const resolvers = {
         name: user.name,
         avatar: user.avatar,
         status: formatUserStatus(user),
-        lastActive: user.lastActive
+        lastActive: user.getSharedDetails().lastActive
       };
     },
 
@@ -87,16 +116,29 @@ const resolvers = {
         throw new GraphQLError('Please provide phone or email to search');
       }
 
-      const searchQuery = {};
+      const searchQuery = { isVerified: true };
+      let exactPhone = false;
       if (phone) {
         const cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
+        if (!/^\+?\d{7,15}$/.test(cleanPhone)) {
+          throw new GraphQLError('Please enter a full phone number');
+        }
         if (cleanPhone.startsWith('+')) {
           searchQuery.phone = cleanPhone;
+          exactPhone = true;
         } else {
           searchQuery.phone = { $regex: cleanPhone + '$' };
         }
+        searchQuery['privacy.discoverableByPhone'] = { $ne: false };
       }
-      if (email) searchQuery.email = email.toLowerCase();
+      if (email) {
+        searchQuery.email = email.toLowerCase();
+        searchQuery.emailVerified = true;
+        searchQuery['privacy.discoverableByEmail'] = { $ne: false };
+      }
+
+      // Blocked users don't show up, whichever side did the blocking
+      searchQuery._id = { $nin: await Block.getHiddenUserIds(user._id) };
 
       const foundUser = await User.findOne(searchQuery).select('name avatar phone email');
 
@@ -104,7 +146,47 @@ const resolvers = {
         return null;
       }
 
-      return foundUser;
+      // Only echo back what the searcher already knew exactly
+      return {
+        id: foundUser._id,
+        name: foundUser.name,
+        avatar: foundUser.avatar,
+        phone: exactPhone ? foundUser.phone : null,
+        email: email ? foundUser.email : null
+      };
+    },
+
+    devices: async (_, __, context) => {
+      const user = requireAuth(context);
+      const fullUser = await User.findById(user._id);
+
+      return fullUser.devices
+        .slice()
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(d => ({
+          id: d.deviceId,
+          platform: d.platform,
+          appVersion: d.appVersion,
+          hasPushToken: !!d.fcmToken,
+          lastSeenAt: d.lastSeenAt,
+          isCurrent: d.deviceId === context.session.deviceId
+        }));
+    },
+
+    sessions: async (_, __, context) => {
+      const user = requireAuth(context);
+      const sessions = await Session.getActiveSessions(user._id);
+
+      return sessions.map(s => ({
+        id: s._id,
+        deviceName: s.deviceName,
+        deviceId: s.deviceId,
+        ip: s.ip,
+        userAgent: s.userAgent,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        isCurrent: s._id.toString() === context.session._id.toString()
+      }));
     },
 
     // Connection queries
@@ -118,13 +200,14 @@ const resolvers = {
         ]
       }).populate({
         path: 'userId connectedUserId',
-        select: 'name avatar phone email currentStatus lastActive',
+        select: 'name avatar phone email currentStatus lastActive privacy',
         populate: { path: 'currentStatus', select: 'name emoji' }
       });
 
       return connections.map(conn => {
         const isInitiator = conn.userId._id.toString() === user._id.toString();
         const otherUser = isInitiator ? conn.connectedUserId : conn.userId;
+        const shared = otherUser.getSharedDetails();
 
         return {
           id: conn._id,
@@ -135,9 +218,10 @@ const resolvers = {
             id: otherUser._id,
             name: otherUser.name,
             avatar: otherUser.avatar,
-            phone: otherUser.phone,
-            email: otherUser.email,
-            lastActive: otherUser.lastActive,
+            phone: shared.phone,
+            email: shared.email,
+            lastActive: shared.lastActive,
+            isOnline: getPresence(otherUser).isOnline,
             status: otherUser.currentStatus ? {
               id: otherUser.currentStatus._id,
               name: otherUser.currentStatus.name,
@@ -155,7 +239,7 @@ const resolvers = {
       const requests = await Connection.find({
         connectedUserId: user._id,
         status: 'pending'
-      }).populate('userId', 'name avatar phone email');
+      }).populate('userId', 'name avatar phone email privacy');
 
       return requests.map(req => ({
         id: req._id,
@@ -164,15 +248,64 @@ const resolvers = {
           id: req.userId._id,
           name: req.userId.name,
           avatar: req.userId.avatar,
-          phone: req.userId.phone
+          phone: req.userId.getSharedDetails().phone
         },
         createdAt: req.createdAt
       }));
     },
 
+    sentRequests: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      const requests = await Connection.find({
+        userId: user._id,
+        status: 'pending'
+      })
+        .sort({ createdAt: -1 })
+        .populate('connectedUserId', 'name avatar');
+
+      return requests.map(request => ({
+        id: request._id,
+        type: request.type,
+        user: {
+          id: request.connectedUserId._id,
+          name: request.connectedUserId.name,
+          avatar: request.connectedUserId.avatar
+        },
+        createdAt: request.createdAt
+      }));
+    },
+
+    blockedUsers: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      const blocks = await Block.find({ blockerId: user._id })
+        .populate('blockedId', 'name avatar')
+        .sort({ createdAt: -1 });
+
+      return blocks
+        .filter(b => b.blockedId)
+        .map(b => ({
+          id: b.blockedId._id,
+          name: b.blockedId.name,
+          avatar: b.blockedId.avatar
+        }));
+    },
+
+    invites: async (_, __, context) => {
+      const user = requireAuth(context);
+
+      const invites = await Invite.find({ inviterId: user._id })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .populate('acceptedBy', 'name avatar');
+
+      return invites.map(formatInvite);
+    },
+
     // Status queries
     statuses: async (_, __, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'status:read');
 
       const defaultStatuses = await Status.getDefaultStatuses();
       const fullUser = await User.findById(user._id);
@@ -200,14 +333,14 @@ const resolvers = {
     },
 
     currentStatus: async (_, __, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'status:read');
       const fullUser = await User.findById(user._id).populate('currentStatus');
       return formatUserStatus(fullUser);
     },
 
     // Notification queries
     notifications: async (_, { limit = 50 }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'notifications:read');
 
       const notifications = await Notification.getUserNotifications(user._id, limit);
 
@@ -231,7 +364,7 @@ const resolvers = {
     },
 
     notificationTemplates: async (_, __, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'notifications:read');
 
       const predefined = Notification.getPredefinedTemplates();
       const fullUser = await User.findById(user._id);
@@ -275,7 +408,7 @@ const resolvers = {
         periodLength: cycle.periodLength,
         lastPeriodStart: cycle.lastPeriodStart,
         isTracking: cycle.isTracking,
-        currentPhase: cycle.getCurrentPhase(),
+        currentPhase: cycle.getCurrentPhase(user.timezone),
         nextPeriod: cycle.getPredictedNextPeriod(),
         fertileWindow: cycle.getFertileWindow(),
         recentPeriods: cycle.periods.slice(-6).reverse(),
@@ -311,13 +444,16 @@ const resolvers = {
         throw new GraphQLError('User is not sharing cycle data');
       }
 
+      // Days are counted in the owner's timezone, not the viewer's
+      const owner = await User.findById(userId).select('timezone');
+
       return {
         id: cycle._id,
         cycleLength: cycle.cycleLength,
         periodLength: cycle.periodLength,
         lastPeriodStart: cycle.lastPeriodStart,
         isTracking: cycle.isTracking,
-        currentPhase: cycle.getCurrentPhase(),
+        currentPhase: cycle.getCurrentPhase(owner?.timezone),
         nextPeriod: cycle.getPredictedNextPeriod(),
         fertileWindow: cycle.getFertileWindow(),
         recentPeriods: cycle.periods.slice(-3).reverse(),
@@ -328,8 +464,8 @@ const resolvers = {
     symptoms: async (_, { startDate, endDate }, context) => {
       const user = requireAuth(context);
 
-      const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-      const end = endDate ? new Date(endDate) : new Date();
+      const start = startDate ? parseCalendarDate(startDate, user.timezone) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      const end = endDate ? parseCalendarDate(endDate, user.timezone) : new Date();
 
       const cycle = await Cycle.findOne({ userId: user._id });
 
@@ -342,7 +478,7 @@ const resolvers = {
 
     // Location queries
     locationSharing: async (_, __, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'location:read');
 
       const fullUser = await User.findById(user._id)
         .populate('locationSharing.shareWith', 'name avatar');
@@ -358,7 +494,7 @@ const resolvers = {
     },
 
     userLocation: async (_, { userId }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'location:read');
 
       // Check if connected
       const connection = await Connection.findOne({
@@ -383,7 +519,7 @@ const resolvers = {
     },
 
     userLocationHistory: async (_, { userId, startDate, endDate }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'location:read');
 
       // Check if connected and sharing (same as userLocation)
       const connection = await Connection.findOne({
@@ -410,7 +546,7 @@ const resolvers = {
     },
 
     myLocationHistory: async (_, { startDate, endDate }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'location:read');
 
       const start = startDate ? new Date(startDate) : new Date(Date.now() - 24 * 60 * 60 * 1000);
       const end = endDate ? new Date(endDate) : new Date();
@@ -421,12 +557,37 @@ const resolvers = {
 
   Mutation: {
     // Profile mutations
-    updateProfile: async (_, { name, avatar }, context) => {
+    updateProfile: async (_, { name, avatar, timezone, locale, birthday }, context) => {
       const user = requireAuth(context);
 
       const updates = {};
       if (name) updates.name = name;
-      if (avatar) updates.avatar = avatar;
+      if (avatar) {
+        updates.avatar = avatar;
+        updates.avatarKey = null;
+      }
+
+      // timezone, locale and birthday can be cleared with null
+      if (timezone !== undefined) {
+        if (timezone !== null && !isValidTimeZone(timezone)) {
+          throw new GraphQLError('Invalid timezone', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+        updates.timezone = timezone;
+      }
+      if (locale !== undefined) {
+        if (locale !== null && !normalizeLocale(locale)) {
+          throw new GraphQLError('Invalid locale', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+        updates.locale = locale && normalizeLocale(locale);
+      }
+      if (birthday !== undefined) {
+        if (birthday !== null && !parseBirthday(birthday)) {
+          throw new GraphQLError('Birthday must be a past date (YYYY-MM-DD)', { extensions: { code: 'BAD_USER_INPUT' } });
+        }
+        updates.birthday = birthday && parseBirthday(birthday);
+      }
+
+      const previous = avatar ? await User.findById(user._id).select('avatarKey') : null;
 
       const updatedUser = await User.findByIdAndUpdate(
         user._id,
@@ -434,7 +595,15 @@ const resolvers = {
         { new: true }
       ).populate('currentStatus');
 
+      // An external URL replaces any uploaded avatar
+      if (previous?.avatarKey) {
+        await deleteAvatarFiles(previous.avatarKey);
+      }
+
       await CacheService.invalidateUser(user._id.toString());
+      if (updates.timezone !== undefined && updates.timezone !== user.timezone) {
+        await CacheService.invalidateCycle(user._id.toString());
+      }
 
       return {
         id: updatedUser._id,
@@ -444,9 +613,84 @@ const resolvers = {
       };
     },
 
-    updateFcmToken: async (_, { token }, context) => {
+    updateFcmToken: async (_, { token, deviceId, platform, appVersion }, context) => {
+      const user = requireAuth(context);
+      const resolvedDeviceId = deviceId || context.session.deviceId || context.session._id.toString();
+
+      await User.registerDevice(user._id, {
+        deviceId: resolvedDeviceId,
+        platform,
+        appVersion,
+        fcmToken: token
+      });
+      await bindSessionDevice(context.session, resolvedDeviceId);
+
+      return true;
+    },
+
+    removeDevice: async (_, { deviceId }, context) => {
+      const user = requireAuth(context);
+      const result = await User.removeDevice(user._id, deviceId);
+      return result.modifiedCount > 0;
+    },
+
+    revokeSession: async (_, { sessionId }, context) => {
+      const user = requireAuth(context);
+
+      const session = await Session.findOne({ _id: sessionId, userId: user._id, revokedAt: null });
+      if (!session) {
+        throw new GraphQLError('Session not found');
+      }
+
+      await revokeSession(session._id, 'revoked_by_user');
+      return true;
+    },
+
+    signOutEverywhere: async (_, { exceptCurrent }, context) => {
+      const user = requireAuth(context);
+      return await revokeAllSessions(
+        user._id,
+        'logout_all',
+        exceptCurrent ? context.session._id : null
+      );
+    },
+
+    deleteAccount: async (_, { password, otp, provider, idToken }, context) => {
+      const user = requireAuth(context);
+      const lockTarget = { account: user._id.toString() };
+
+      // Shares the lockout of DELETE /auth/account, so guesses can't move between the two
+      const lock = await getLock('account-deletion', lockTarget);
+      if (lock.locked) {
+        throw new GraphQLError('Too many failed attempts. Please try again later', {
+          extensions: { code: lock.code, retryAfter: lock.retryAfter }
+        });
+      }
+
+      const confirmation = await confirmAccountDeletion(user._id, { password, otp, provider, idToken });
+      if (!confirmation.valid) {
+        await recordFailure('account-deletion', lockTarget);
+        throw new GraphQLError(confirmation.message, {
+          extensions: { code: 'DELETION_NOT_CONFIRMED' }
+        });
+      }
+
+      const result = await requestAccountDeletion(user._id);
+
+      return {
+        deleted: result.deleted,
+        scheduledFor: result.scheduledFor ? result.scheduledFor.toISOString() : null
+      };
+    },
+
+    cancelAccountDeletion: async (_, __, context) => {
       const user = requireAuth(context);
-      await User.findByIdAndUpdate(user._id, { fcmToken: token });
+
+      const cancelled = await cancelAccountDeletion(user._id);
+      if (!cancelled) {
+        throw new GraphQLError('Account is not scheduled for deletion');
+      }
+
       return true;
     },
 
@@ -459,10 +703,14 @@ const resolvers = {
       }
 
       const targetUser = await User.findById(userId);
-      if (!targetUser) {
+      if (!targetUser || !targetUser.isVerified) {
         throw new GraphQLError('User not found');
       }
 
+      if (await Block.isBlockedBetween(user._id, userId)) {
+        throw new GraphQLError('Cannot connect with this user');
+      }
+
       const existingConnection = await Connection.findOne({
         $or: [
           { userId: user._id, connectedUserId: userId },
@@ -472,14 +720,21 @@ const resolvers = {
 
       if (existingConnection) {
         if (existingConnection.status === 'accepted') {
-          throw new GraphQLError('Already connected');
+          throw new GraphQLError('Already connected', { extensions: { code: 'ALREADY_CONNECTED' } });
         }
         if (existingConnection.status === 'pending') {
-          throw new GraphQLError('Request already pending');
+          throw new GraphQLError('Request already pending', { extensions: { code: 'REQUEST_ALREADY_PENDING' } });
         }
         if (existingConnection.status === 'blocked') {
           throw new GraphQLError('Cannot connect with this user');
         }
+
+        const cooldownEnd = existingConnection.getRequestCooldownEnd(user._id);
+        if (cooldownEnd) {
+          throw new GraphQLError('Too many requests. Please try again later', {
+            extensions: { code: 'REQUEST_COOLDOWN', retryAfter: Math.ceil((cooldownEnd - Date.now()) / 1000) }
+          });
+        }
       }
 
       if (type === 'partner') {
@@ -494,6 +749,18 @@ const resolvers = {
         }
       }
 
+      const limits = await checkSendLimits(user._id);
+      if (!limits.allowed) {
+        throw new GraphQLError('Too many requests. Please try again later', {
+          extensions: { code: limits.code, retryAfter: limits.retryAfter }
+        });
+      }
+
+      // A rejected or expired request makes way for the new one
+      if (existingConnection) {
+        await Connection.deleteOne({ _id: existingConnection._id });
+      }
+
       const connection = await Connection.create({
         userId: user._id,
         connectedUserId: userId,
@@ -501,6 +768,7 @@ const resolvers = {
         status: 'pending',
         initiatedBy: user._id
       });
+      await recordSentRequest(user._id, limits);
 
       // Notify via Socket.IO
       sendToUser(userId, 'connection:request', {
@@ -510,14 +778,12 @@ const resolvers = {
       });
 
       // Send push notification
-      if (targetUser.fcmToken) {
-        await sendPushNotification(
-          targetUser.fcmToken,
-          'New Connection Request',
-          `${user.name} wants to connect as your ${type === 'partner' ? 'partner' : 'close friend'}`,
-          { type: 'connection_request', connectionId: connection._id.toString() }
-        );
-      }
+      await sendPushToUser(
+        targetUser,
+        'New Connection Request',
+        `${user.name} wants to connect as your ${type === 'partner' ? 'partner' : 'close friend'}`,
+        { type: 'connection_request', connectionId: connection._id.toString() }
+      );
 
       return {
         id: connection._id,
@@ -538,6 +804,9 @@ const resolvers = {
       });
 
       if (!connection) {
+        if (await Connection.isExpiredRequest(connectionId, user._id)) {
+          throw new GraphQLError('This connection request has expired', { extensions: { code: 'REQUEST_EXPIRED' } });
+        }
         throw new GraphQLError('Connection request not found');
       }
 
@@ -560,9 +829,9 @@ const resolvers = {
         user: { id: user._id, name: user.name, avatar: user.avatar }
       });
 
-      if (requester.fcmToken) {
-        await sendPushNotification(
-          requester.fcmToken,
+      if (requester) {
+        await sendPushToUser(
+          requester,
           'Connection Accepted',
           `${user.name} accepted your connection request!`,
           { type: 'connection_accepted', connectionId: connection._id.toString() }
@@ -588,10 +857,14 @@ const resolvers = {
       });
 
       if (!connection) {
+        if (await Connection.isExpiredRequest(connectionId, user._id)) {
+          throw new GraphQLError('This connection request has expired', { extensions: { code: 'REQUEST_EXPIRED' } });
+        }
         throw new GraphQLError('Connection request not found');
       }
 
       connection.status = 'rejected';
+      connection.rejectedAt = new Date();
       await connection.save();
 
       await CacheService.invalidateConnectionPair(user._id.toString(), connection.userId.toString());
@@ -599,12 +872,34 @@ const resolvers = {
       return true;
     },
 
+    cancelConnectionRequest: async (_, { connectionId }, context) => {
+      const user = requireAuth(context);
+
+      const connection = await Connection.findOneAndDelete({
+        _id: connectionId,
+        userId: user._id,
+        status: 'pending'
+      });
+
+      if (!connection) {
+        throw new GraphQLError('Connection request not found');
+      }
+
+      await CacheService.invalidateConnectionPair(user._id.toString(), connection.connectedUserId.toString());
+
+      sendToUser(connection.connectedUserId.toString(), 'connection:request_cancelled', { id: connection._id });
+
+      return true;
+    },
+
     removeConnection: async (_, { connectionId }, context) => {
       const user = requireAuth(context);
 
+      // Connections blocked before the block list existed still act as blocks, so they stay
       const connection = await Connection.findOneAndDelete({
         _id: connectionId,
-        $or: [{ userId: user._id }, { connectedUserId: user._id }]
+        $or: [{ userId: user._id }, { connectedUserId: user._id }],
+        status: { $ne: 'blocked' }
       });
 
       if (!connection) {
@@ -634,14 +929,52 @@ const resolvers = {
         throw new GraphQLError('Connection not found');
       }
 
-      connection.status = 'blocked';
-      await connection.save();
-
       const otherUserId = connection.userId.toString() === user._id.toString()
-        ? connection.connectedUserId.toString()
-        : connection.userId.toString();
+        ? connection.connectedUserId
+        : connection.userId;
 
-      await CacheService.invalidateConnectionPair(user._id.toString(), otherUserId);
+      const result = await blockUser(user._id, otherUserId);
+      if (!result.success) {
+        throw new GraphQLError(result.error);
+      }
+
+      return true;
+    },
+
+    blockUser: async (_, { userId }, context) => {
+      const user = requireAuth(context);
+
+      const result = await blockUser(user._id, userId);
+      if (!result.success) {
+        throw new GraphQLError(result.error, result.code ? { extensions: { code: result.code } } : undefined);
+      }
+
+      return true;
+    },
+
+    unblockUser: async (_, { userId }, context) => {
+      const user = requireAuth(context);
+      return await unblockUser(user._id, userId);
+    },
+
+    reportUser: async (_, { userId, reason, details, block }, context) => {
+      const user = requireAuth(context);
+
+      const result = await createReport(user._id, { targetType: 'user', userId, reason, details, block });
+      if (!result.success) {
+        throw new GraphQLError(result.error, result.code ? { extensions: { code: result.code, retryAfter: result.retryAfter } } : undefined);
+      }
+
+      return true;
+    },
+
+    reportNotification: async (_, { notificationId, reason, details, block }, context) => {
+      const user = requireAuth(context);
+
+      const result = await createReport(user._id, { targetType: 'notification', notificationId, reason, details, block });
+      if (!result.success) {
+        throw new GraphQLError(result.error, result.code ? { extensions: { code: result.code, retryAfter: result.retryAfter } } : undefined);
+      }
 
       return true;
     },
@@ -671,9 +1004,38 @@ const resolvers = {
       };
     },
 
+    createInvite: async (_, args, context) => {
+      const user = requireAuth(context);
+
+      const result = await createInvite(user, args);
+      if (!result.success) {
+        throw new GraphQLError(result.error, { extensions: { code: result.code, retryAfter: result.retryAfter } });
+      }
+
+      return {
+        invite: formatInvite(result.invite),
+        url: result.url,
+        qrCode: result.qrCode
+      };
+    },
+
+    revokeInvite: async (_, { inviteId }, context) => {
+      const user = requireAuth(context);
+
+      const invite = await Invite.findOneAndUpdate(
+        { _id: inviteId, inviterId: user._id, status: 'pending' },
+        { status: 'revoked' }
+      );
+      if (!invite) {
+        throw new GraphQLError('Invite not found');
+      }
+
+      return true;
+    },
+
     // Status mutations
     setStatus: async (_, { statusId }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'status:write');
 
       const status = await Status.findOne({ _id: statusId, isDefault: true });
       if (!status) {
@@ -696,7 +1058,7 @@ const resolvers = {
     },
 
     setCustomStatus: async (_, { customStatusId }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'status:write');
 
       const fullUser = await User.findById(user._id);
       const customStatus = fullUser.customStatuses.id(customStatusId);
@@ -824,7 +1186,7 @@ const resolvers = {
 
     // Notification mutations
     sendPredefinedNotification: async (_, { receiverId, templateId }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'notifications:send');
 
       const connection = await Connection.findOne({
         $or: [
@@ -865,9 +1227,9 @@ const resolvers = {
       });
 
       const receiver = await User.findById(receiverId);
-      if (receiver?.fcmToken) {
-        await sendPushNotification(
-          receiver.fcmToken,
+      if (receiver) {
+        await sendPushToUser(
+          receiver,
           `${user.name}: ${template.title}`,
           template.message,
           { type: 'notification', notificationId: notification._id.toString() }
@@ -885,7 +1247,7 @@ const resolvers = {
     },
 
     sendCustomNotification: async (_, { receiverId, customNotificationId }, context) => {
-      const user = requireAuth(context);
+      const user = requireAuth(context, 'notifications:send');
 
       const connection = await Connection.findOne({
         $or: [
@@ -1000,7 +1362,7 @@ const resolvers = {
     startPeriod: async (_, { date, flow }, context) => {
       const user = requireAuth(context);
 
-      const startDate = date ? new Date(date) : new Date();
+      const startDate = date ? parseCalendarDate(date, user.timezone) : new Date();
       const flowType = flow || 'medium';
 
       let cycle = await Cycle.findOne({ userId: user._id });
@@ -1038,7 +1400,7 @@ const resolvers = {
     endPeriod: async (_, { date }, context) => {
       const user = requireAuth(context);
 
-      const endDate = date ? new Date(date) : new Date();
+      const endDate = date ? parseCalendarDate(date, user.timezone) : new Date();
 
       const cycle = await Cycle.findOne({ userId: user._id });
 
@@ -1072,8 +1434,8 @@ const resolvers = {
     logPeriod: async (_, { startDate, endDate, flow }, context) => {
       const user = requireAuth(context);
 
-      const start = new Date(startDate);
-      const end = endDate ? new Date(endDate) : null;
+      const start = parseCalendarDate(startDate, user.timezone);
+      const end = endDate ? parseCalendarDate(endDate, user.timezone) : null;
       const flowType = flow || 'medium';
 
       if (end && end < start) {
@@ -1109,7 +1471,7 @@ const resolvers = {
     logSymptom: async (_, { date, type, severity, notes }, context) => {
       const user = requireAuth(context);
 
-      const symptomDate = date ? new Date(date) : new Date();
+      const symptomDate = date ? parseCalendarDate(date, user.timezone) : new Date();
 
       let cycle = await Cycle.findOne({ userId: user._id });
 
@@ -1162,7 +1524,7 @@ const resolvers = {
         periodLength: cycle.periodLength,
         isTracking: cycle.isTracking,
         lastPeriodStart: cycle.lastPeriodStart,
-        currentPhase: cycle.getCurrentPhase(),
+        currentPhase: cycle.getCurrentPhase(user.timezone),
         nextPeriod: cycle.getPredictedNextPeriod(),
         fertileWindow: cycle.getFertileWindow(),
         recentPeriods: cycle.periods.slice(-6).reverse(),
@@ -1210,7 +1572,7 @@ const resolvers = {
         periodLength: updatedCycle.periodLength,
         isTracking: updatedCycle.isTracking,
         lastPeriodStart: updatedCycle.lastPeriodStart,
-        currentPhase: updatedCycle.getCurrentPhase(),
+        currentPhase: updatedCycle.getCurrentPhase(user.timezone),
         nextPeriod: updatedCycle.getPredictedNextPeriod(),
         fertileWindow: updatedCycle.getFertileWindow(),
         recentPeriods: updatedCycle.periods.slice(-6).reverse(),
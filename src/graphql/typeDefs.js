@@ -8,6 +8,7 @@ const typeDefs = `#graphql
     email: String
     status: Status
     lastActive: String
+    isOnline: Boolean
     isPremium: Boolean
   }
 
@@ -60,6 +61,7 @@ const typeDefs = `#graphql
     accepted
     rejected
     blocked
+    expired
   }
 
   # Notification types
@@ -96,6 +98,48 @@ const typeDefs = `#graphql
     status
   }
 
+  enum ReportReason {
+    spam
+    harassment
+    inappropriate_content
+    impersonation
+    other
+  }
+
+  # Invite types
+  type Invite {
+    id: ID!
+    type: ConnectionType!
+    channel: InviteChannel!
+    phone: String
+    email: String
+    status: InviteStatus!
+    acceptedBy: User
+    acceptedAt: String
+    expiresAt: String!
+    createdAt: String!
+  }
+
+  # The link and QR code are only returned when the invite is created
+  type CreatedInvite {
+    invite: Invite!
+    url: String!
+    qrCode: String!
+  }
+
+  enum InviteChannel {
+    phone
+    email
+    link
+  }
+
+  enum InviteStatus {
+    pending
+    accepted
+    revoked
+    expired
+  }
+
   # Cycle types
   type Cycle {
     id: ID!
@@ -181,6 +225,32 @@ const typeDefs = `#graphql
     isNewUser: Boolean!
   }
 
+  type Device {
+    id: String!
+    platform: DevicePlatform
+    appVersion: String
+    hasPushToken: Boolean!
+    lastSeenAt: String
+    isCurrent: Boolean!
+  }
+
+  type Session {
+    id: ID!
+    deviceName: String
+    deviceId: String
+    ip: String
+    userAgent: String
+    createdAt: String!
+    lastUsedAt: String
+    isCurrent: Boolean!
+  }
+
+  enum DevicePlatform {
+    ios
+    android
+    web
+  }
+
   type Profile {
     id: ID!
     name: String!
@@ -188,6 +258,9 @@ const typeDefs = `#graphql
     email: String
     avatar: String
     isPremium: Boolean!
+    timezone: String
+    locale: String
+    birthday: String
     status: Status
     customStatuses: [CustomStatus!]!
     customNotifications: [CustomNotification!]!
@@ -199,10 +272,15 @@ const typeDefs = `#graphql
     me: Profile!
     user(id: ID!): User
     searchUser(phone: String, email: String): User
+    devices: [Device!]!
+    sessions: [Session!]!
 
     # Connection queries
     connections: [Connection!]!
     pendingRequests: [ConnectionRequest!]!
+    sentRequests: [ConnectionRequest!]!
+    blockedUsers: [User!]!
+    invites: [Invite!]!
 
     # Status queries
     statuses: StatusesResponse!
@@ -242,20 +320,38 @@ const typeDefs = `#graphql
   }
 
   # Mutation type
+  type AccountDeletion {
+    deleted: Boolean!
+    scheduledFor: String
+  }
+
   type Mutation {
     # Auth mutations
     register(name: String!, phone: String, email: String): AuthPayload!
     login(phone: String, email: String): AuthPayload!
-    updateProfile(name: String, avatar: String): User!
-    updateFcmToken(token: String!): Boolean!
+    # timezone is an IANA name, locale a BCP 47 tag and birthday YYYY-MM-DD
+    updateProfile(name: String, avatar: String, timezone: String, locale: String, birthday: String): User!
+    updateFcmToken(token: String!, deviceId: String, platform: DevicePlatform, appVersion: String): Boolean!
+    removeDevice(deviceId: String!): Boolean!
+    revokeSession(sessionId: ID!): Boolean!
+    signOutEverywhere(exceptCurrent: Boolean): Int!
+    deleteAccount(password: String, otp: String, provider: String, idToken: String): AccountDeletion!
+    cancelAccountDeletion: Boolean!
 
     # Connection mutations
     sendConnectionRequest(userId: ID!, type: ConnectionType!): Connection!
     acceptConnection(connectionId: ID!): Connection!
     rejectConnection(connectionId: ID!): Boolean!
+    cancelConnectionRequest(connectionId: ID!): Boolean!
     removeConnection(connectionId: ID!): Boolean!
     blockConnection(connectionId: ID!): Boolean!
+    blockUser(userId: ID!): Boolean!
+    unblockUser(userId: ID!): Boolean!
+    reportUser(userId: ID!, reason: ReportReason!, details: String, block: Boolean): Boolean!
+    reportNotification(notificationId: ID!, reason: ReportReason!, details: String, block: Boolean): Boolean!
     updateNickname(connectionId: ID!, nickname: String!): Connection!
+    createInvite(type: ConnectionType!, channel: InviteChannel!, phone: String, email: String): CreatedInvite!
+    revokeInvite(inviteId: ID!): Boolean!
 
     # Status mutations
     setStatus(statusId: ID!): Status!
@@ -0,0 +1,17 @@
+// Only admins may continue; use after auth
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  if (req.user.role !== 'admin') {
+    return res.status(403).json({
+      error: 'Admin access required',
+      code: 'ADMIN_REQUIRED'
+    });
+  }
+
+  next();
+};
+
+module.exports = { requireAdmin };
@@ -1,7 +1,23 @@
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const {
+  authenticateAccessToken,
+  isPersonalAccessToken,
+  authenticatePersonalAccessToken
+} = require('../services/session');
 
-const auth = async (req, res, next) => {
+// Resolve a bearer token (JWT or personal access token) to its user
+const authenticateToken = async (token, req) => {
+  if (isPersonalAccessToken(token)) {
+    const { user, accessToken } = await authenticatePersonalAccessToken(token, req.ip);
+    return { user, session: null, accessToken };
+  }
+
+  const { user, session } = await authenticateAccessToken(token);
+  return { user, session, accessToken: null };
+};
+
+// Build the auth middleware. Personal access tokens are refused unless the
+// route names a scope and the token was granted it.
+const createAuth = (scope = null) => async (req, res, next) => {
   try {
     const authHeader = req.header('Authorization');
 
@@ -15,27 +31,50 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const { user, session, accessToken } = await authenticateToken(token, req);
 
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
 
+    if (accessToken && !(scope && accessToken.hasScope(scope))) {
+      return res.status(403).json({
+        error: scope
+          ? `This token is missing the ${scope} scope`
+          : 'Personal access tokens cannot be used for this endpoint',
+        code: 'INSUFFICIENT_SCOPE',
+        requiredScope: scope
+      });
+    }
+
     req.user = user;
     req.token = token;
+    req.session = session;
+    req.accessToken = accessToken;
     next();
   } catch (error) {
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({ error: 'Session revoked', code: 'SESSION_REVOKED' });
+    }
+    if (error.name === 'AccountBannedError') {
+      return res.status(403).json({ error: 'This account has been suspended', code: 'ACCOUNT_BANNED' });
+    }
     if (error.name === 'TokenExpiredError') {
       return res.status(401).json({ error: 'Token expired', code: 'TOKEN_EXPIRED' });
     }
-    if (error.name === 'JsonWebTokenError') {
+    if (error.name === 'JsonWebTokenError' || error.name === 'InvalidAccessTokenError') {
       return res.status(401).json({ error: 'Invalid token' });
     }
     res.status(401).json({ error: 'Authentication failed' });
   }
 };
 
+// Session (JWT) auth only
+const auth = createAuth();
+
+// Session auth, or a personal access token granted the given scope
+const authWithScope = (scope) => createAuth(scope);
+
 // Optional auth - doesn't fail if no token
 const optionalAuth = async (req, res, next) => {
   try {
@@ -51,12 +90,12 @@ const optionalAuth = async (req, res, next) => {
       return next();
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId);
+    const { user, session } = await authenticateAccessToken(token);
 
     if (user) {
       req.user = user;
       req.token = token;
+      req.session = session;
     }
 
     next();
@@ -65,4 +104,4 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, optionalAuth };
+module.exports = { auth, authWithScope, optionalAuth };
@@ -4,8 +4,9 @@ const { CacheService, TTL } = require('../services/cache');
  * Generic caching middleware factory
  * @param {function} keyGenerator - Function to generate cache key from req
  * @param {number} ttl - Time to live in seconds
+ * @param {function} [onStore] - Called with (key, data) after a response is cached
  */
-const cacheMiddleware = (keyGenerator, ttl = 300) => {
+const cacheMiddleware = (keyGenerator, ttl = 300, onStore = null) => {
   return async (req, res, next) => {
     const key = keyGenerator(req);
 
@@ -25,9 +26,11 @@ const cacheMiddleware = (keyGenerator, ttl = 300) => {
       res.json = (data) => {
         // Only cache successful responses
         if (res.statusCode >= 200 && res.statusCode < 300) {
-          CacheService.set(key, data, ttl).catch(err => {
-            console.error('Cache middleware SET error:', err.message);
-          });
+          CacheService.set(key, data, ttl)
+            .then(() => onStore && onStore(key, data))
+            .catch(err => {
+              console.error('Cache middleware SET error:', err.message);
+            });
         }
         return originalJson(data);
       };
@@ -62,7 +65,8 @@ const cacheConnections = cacheMiddleware(
  */
 const cacheStatuses = cacheMiddleware(
   (req) => `statuses:${req.user.id}`,
-  TTL.STATUSES
+  TTL.STATUSES,
+  (key) => CacheService.trackStatusKey(key)
 );
 
 /**
@@ -90,14 +94,15 @@ const cacheLocationSharing = cacheMiddleware(
 );
 
 /**
- * Cache user search results
+ * Cache user search results (per searcher, since blocks hide users from some people)
  */
 const cacheUserSearch = cacheMiddleware(
   (req) => {
     const query = req.query.phone || req.query.email || '';
-    return `search:${Buffer.from(query).toString('base64')}`;
+    return `search:${req.user.id}:${Buffer.from(query).toString('base64')}`;
   },
-  TTL.SEARCH
+  TTL.SEARCH,
+  (key, data) => data.user && CacheService.trackSearchKey(data.user._id.toString(), key)
 );
 
 /**
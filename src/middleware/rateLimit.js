@@ -0,0 +1,48 @@
+const { consume, getLock } = require('../services/rateLimit');
+
+// Standard 429 payload with Retry-After
+const sendTooManyRequests = (res, { retryAfter, code = 'RATE_LIMITED' }) => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    error: code === 'ACCOUNT_LOCKED'
+      ? 'Too many failed attempts. Please try again later'
+      : 'Too many requests. Please try again later',
+    code,
+    retryAfter
+  });
+};
+
+// Limit how often one IP may call an endpoint
+const rateLimit = (name, { max, windowSeconds }) => {
+  return async (req, res, next) => {
+    try {
+      const result = await consume(name, req.ip, max, windowSeconds);
+      if (!result.allowed) {
+        return sendTooManyRequests(res, { retryAfter: result.retryAfter });
+      }
+      next();
+    } catch (error) {
+      console.error('Rate limit error:', error.message);
+      next();
+    }
+  };
+};
+
+// Refuse attempts while the IP or the targeted account is locked
+// getAccount(req) returns the account the attempt is for, when the request names one
+const checkLockout = (scope, getAccount = () => null) => {
+  return async (req, res, next) => {
+    try {
+      const lock = await getLock(scope, { ip: req.ip, account: getAccount(req) });
+      if (lock.locked) {
+        return sendTooManyRequests(res, lock);
+      }
+      next();
+    } catch (error) {
+      console.error('Lockout check error:', error.message);
+      next();
+    }
+  };
+};
+
+module.exports = { rateLimit, checkLockout, sendTooManyRequests };
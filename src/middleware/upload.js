@@ -0,0 +1,28 @@
+const multer = require('multer');
+const { MAX_AVATAR_BYTES } = require('../services/avatar');
+
+// Files are kept in memory: they're small and get resized before storage
+const avatarMulter = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_BYTES, files: 1 }
+}).single('avatar');
+
+// Parse a multipart `avatar` field into req.file, turning multer errors into API errors
+const avatarUpload = (req, res, next) => {
+  avatarMulter(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        error: `Image must be smaller than ${Math.floor(MAX_AVATAR_BYTES / (1024 * 1024))} MB`,
+        code: 'FILE_TOO_LARGE'
+      });
+    }
+
+    res.status(400).json({ error: err.message, code: 'INVALID_UPLOAD' });
+  });
+};
+
+module.exports = { avatarUpload };
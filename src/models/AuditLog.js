@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Security-relevant events on an account (2FA changes, recovery code use, ...)
+// and actions admins take, where userId is the admin and targetUserId the account acted on
+const auditLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  action: {
+    type: String,
+    required: true
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+}, {
+  timestamps: true
+});
+
+// Index for user audit history
+auditLogSchema.index({ userId: 1, createdAt: -1 });
+
+// Index for admin actions taken on a user
+auditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+
+// Static method to record an event for the request that caused it
+auditLogSchema.statics.record = async function(userId, action, req = null, metadata = {}) {
+  try {
+    return await this.create({
+      userId,
+      action,
+      ip: req ? req.ip : null,
+      userAgent: req ? req.get('User-Agent') || null : null,
+      metadata
+    });
+  } catch (error) {
+    // Auditing must never break the action being audited
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+// Static method to record an admin action
+auditLogSchema.statics.recordAdminAction = async function(req, action, targetUserId = null, metadata = {}) {
+  try {
+    return await this.create({
+      userId: req.user._id,
+      targetUserId,
+      action: `admin:${action}`,
+      ip: req.ip,
+      userAgent: req.get('User-Agent') || null,
+      metadata
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// One user blocking another. Independent of connections, so a block holds
+// whether or not the two were ever connected.
+const blockSchema = new mongoose.Schema({
+  blockerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  blockedId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+blockSchema.index({ blockerId: 1, blockedId: 1 }, { unique: true });
+blockSchema.index({ blockedId: 1 });
+
+// Whether either user has blocked the other
+blockSchema.statics.isBlockedBetween = async function(userId, otherUserId) {
+  const block = await this.exists({
+    $or: [
+      { blockerId: userId, blockedId: otherUserId },
+      { blockerId: otherUserId, blockedId: userId }
+    ]
+  });
+  return !!block;
+};
+
+// Ids of everyone hidden from the user: those they blocked and those who blocked them
+blockSchema.statics.getHiddenUserIds = async function(userId) {
+  const blocks = await this.find({
+    $or: [{ blockerId: userId }, { blockedId: userId }]
+  }).select('blockerId blockedId');
+
+  return blocks.map(b => (b.blockerId.toString() === userId.toString() ? b.blockedId : b.blockerId));
+};
+
+module.exports = mongoose.model('Block', blockSchema);
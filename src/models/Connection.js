@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+// After a rejection, the requester must wait this long before asking again
+const REQUEST_COOLDOWN_DAYS = parseInt(process.env.CONNECTION_REQUEST_COOLDOWN_DAYS) || 7;
+
 const connectionSchema = new mongoose.Schema({
   userId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -18,7 +21,7 @@ const connectionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'blocked'],
+    enum: ['pending', 'accepted', 'rejected', 'blocked', 'expired'],
     default: 'pending'
   },
   nickname: {
@@ -30,6 +33,10 @@ const connectionSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  rejectedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -38,6 +45,26 @@ const connectionSchema = new mongoose.Schema({
 // Ensure unique connection between two users
 connectionSchema.index({ userId: 1, connectedUserId: 1 }, { unique: true });
 
+// For the request expiry sweep
+connectionSchema.index({ status: 1, createdAt: 1 });
+
+// When a rejected request's sender may ask again, or null if they already may.
+// The person who rejected it can send their own request at any time.
+connectionSchema.methods.getRequestCooldownEnd = function(requesterId) {
+  if (this.status !== 'rejected' || !this.initiatedBy.equals(requesterId)) return null;
+
+  // Rejections from before rejectedAt existed count from the last update
+  const rejectedAt = this.rejectedAt || this.updatedAt;
+  const cooldownEnd = new Date(rejectedAt.getTime() + REQUEST_COOLDOWN_DAYS * 24 * 60 * 60 * 1000);
+  return cooldownEnd > new Date() ? cooldownEnd : null;
+};
+
+// Whether a request to the user ran out before they answered it
+connectionSchema.statics.isExpiredRequest = async function(connectionId, recipientId) {
+  const request = await this.exists({ _id: connectionId, connectedUserId: recipientId, status: 'expired' });
+  return !!request;
+};
+
 // Static method to check if user already has a partner
 connectionSchema.statics.hasPartner = async function(userId) {
   const partnerConnection = await this.findOne({
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { daysBetween } = require('../services/calendar');
 
 const symptomSchema = new mongoose.Schema({
   date: {
@@ -136,28 +137,27 @@ cycleSchema.methods.getPredictedNextPeriod = function() {
 };
 
 // Get last period details
-cycleSchema.methods.getLastPeriod = function() {
+// Day counts use the owner's timezone (the server's if not given)
+cycleSchema.methods.getLastPeriod = function(timeZone) {
   if (!this.lastPeriodStart) return null;
 
   return {
     startDate: this.lastPeriodStart,
     endDate: this.lastPeriodEnd,
-    daysAgo: Math.floor((new Date() - this.lastPeriodStart) / (1000 * 60 * 60 * 24))
+    daysAgo: daysBetween(this.lastPeriodStart, new Date(), timeZone)
   };
 };
 
-// Calculate current cycle day
-cycleSchema.methods.getCurrentCycleDay = function() {
+// Calculate current cycle day; the day the period started is day 1
+cycleSchema.methods.getCurrentCycleDay = function(timeZone) {
   if (!this.lastPeriodStart) return null;
-  const today = new Date();
-  const diffTime = Math.abs(today - this.lastPeriodStart);
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  return diffDays % this.cycleLength || this.cycleLength;
+  const elapsedDays = Math.abs(daysBetween(this.lastPeriodStart, new Date(), timeZone));
+  return (elapsedDays % this.cycleLength) + 1;
 };
 
 // Get current phase
-cycleSchema.methods.getCurrentPhase = function() {
-  const cycleDay = this.getCurrentCycleDay();
+cycleSchema.methods.getCurrentPhase = function(timeZone) {
+  const cycleDay = this.getCurrentCycleDay(timeZone);
   if (!cycleDay) return null;
 
   if (cycleDay <= this.periodLength) {
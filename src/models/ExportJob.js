@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A personal data export requested by a user. The archive lives on disk
+// until expiresAt, after which the sweep removes both file and document.
+const exportJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  filePath: {
+    type: String,
+    default: null
+  },
+  fileSize: {
+    type: Number,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for user export lookups
+exportJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Index for the cleanup sweep
+exportJobSchema.index({ expiresAt: 1 });
+
+// Check if the job is still being worked on
+exportJobSchema.methods.isActive = function() {
+  return this.status === 'pending' || this.status === 'processing';
+};
+
+module.exports = mongoose.model('ExportJob', exportJobSchema);
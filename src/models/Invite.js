@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const CHANNELS = ['phone', 'email', 'link'];
+
+// Days an invite link stays valid
+const INVITE_EXPIRY_DAYS = parseInt(process.env.INVITE_EXPIRY_DAYS) || 14;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// An invitation for someone who hasn't joined yet. When they sign up with the
+// token, or with the invited phone number or email, the connection is created.
+// Only the token's hash is stored; the raw token goes out in the deep link.
+const inviteSchema = new mongoose.Schema({
+  inviterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['partner', 'close_friend'],
+    required: true
+  },
+  channel: {
+    type: String,
+    enum: CHANNELS,
+    required: true
+  },
+  // E.164, for phone invites
+  phone: {
+    type: String,
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  acceptedAt: {
+    type: Date,
+    default: null
+  },
+  connectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Connection',
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+inviteSchema.index({ inviterId: 1, createdAt: -1 });
+inviteSchema.index({ phone: 1, status: 1 });
+inviteSchema.index({ email: 1, status: 1 });
+
+inviteSchema.statics.CHANNELS = CHANNELS;
+inviteSchema.statics.EXPIRY_DAYS = INVITE_EXPIRY_DAYS;
+
+// Check if invite can still be redeemed
+inviteSchema.methods.isActive = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+// Status as shown to users, with lapsed pending invites reported as expired
+inviteSchema.methods.getDisplayStatus = function() {
+  return this.status === 'pending' && this.expiresAt <= new Date() ? 'expired' : this.status;
+};
+
+// Static method to create an invite. Returns { token, invite } - the raw token is not stored.
+inviteSchema.statics.generate = async function(inviterId, { type, channel, phone = null, email = null }) {
+  const token = crypto.randomBytes(24).toString('base64url');
+
+  const invite = await this.create({
+    inviterId,
+    type,
+    channel,
+    phone,
+    email,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + INVITE_EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+  });
+
+  return { token, invite };
+};
+
+// Static method to find an invite by its raw token, whatever its status
+inviteSchema.statics.findByToken = async function(token) {
+  return await this.findOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('Invite', inviteSchema);
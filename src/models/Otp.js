@@ -1,5 +1,16 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 
+// Wrong codes allowed before an OTP is burned
+const MAX_ATTEMPTS = 3;
+
+// Minimum wait between two OTPs for the same phone
+const RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
+
+// Maximum OTPs sent to the same phone within RESEND_WINDOW_MS
+const MAX_SENDS_PER_WINDOW = 5;
+const RESEND_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
 const otpSchema = new mongoose.Schema({
   phone: {
     type: String,
@@ -9,6 +20,12 @@ const otpSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // What the code may be used for, so a login code can't confirm a phone change
+  purpose: {
+    type: String,
+    enum: ['login', 'phone_change', 'phone_change_old'],
+    default: 'login'
+  },
   expiresAt: {
     type: Date,
     required: true,
@@ -26,24 +43,38 @@ const otpSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// TTL index to automatically delete expired OTPs
-otpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+// TTL index to automatically delete old OTPs
+// Kept for the whole resend window so they still count towards the send limit
+otpSchema.index({ createdAt: 1 }, { expireAfterSeconds: RESEND_WINDOW_MS / 1000 });
 otpSchema.index({ phone: 1, createdAt: -1 });
 
+// Older databases delete OTPs as soon as they expire through a TTL on expiresAt,
+// which empties the resend window early. Drop it in favour of the createdAt TTL.
+otpSchema.statics.dropLegacyTtlIndex = async function() {
+  try {
+    await this.collection.dropIndex('expiresAt_1');
+    console.log('Dropped legacy OTP expiry index');
+  } catch (error) {
+    // IndexNotFound, or NamespaceNotFound on a fresh database
+    if (error.code !== 27 && error.code !== 26) throw error;
+  }
+};
+
 // Static method to generate OTP
 otpSchema.statics.generateOTP = function() {
-  return Math.floor(100000 + Math.random() * 900000).toString();
+  return crypto.randomInt(100000, 1000000).toString();
 };
 
 // Static method to create new OTP
-otpSchema.statics.createOTP = async function(phone) {
-  // Invalidate any existing OTPs for this phone
-  await this.updateMany({ phone, isUsed: false }, { isUsed: true });
+otpSchema.statics.createOTP = async function(phone, purpose = 'login') {
+  // Invalidate any existing OTPs for this phone and purpose
+  await this.updateMany({ phone, purpose, isUsed: false }, { isUsed: true });
 
   const otp = this.generateOTP();
   const otpDoc = await this.create({
     phone,
     otp,
+    purpose,
     expiresAt: new Date(Date.now() + 10 * 60 * 1000)
   });
 
@@ -51,22 +82,40 @@ otpSchema.statics.createOTP = async function(phone) {
 };
 
 // Static method to verify OTP
-otpSchema.statics.verifyOTP = async function(phone, otp) {
+// Wrong codes count against the latest active OTP, which is burned after MAX_ATTEMPTS
+otpSchema.statics.verifyOTP = async function(phone, otp, purpose = 'login') {
   const otpDoc = await this.findOne({
     phone,
-    otp,
+    purpose,
     isUsed: false,
     expiresAt: { $gt: new Date() }
-  });
+  }).sort({ createdAt: -1 });
 
   if (!otpDoc) {
     return { valid: false, message: 'Invalid or expired OTP' };
   }
 
-  if (otpDoc.attempts >= 3) {
+  if (otpDoc.attempts >= MAX_ATTEMPTS) {
     return { valid: false, message: 'Too many attempts. Please request a new OTP' };
   }
 
+  if (otpDoc.otp !== otp) {
+    otpDoc.attempts += 1;
+    if (otpDoc.attempts >= MAX_ATTEMPTS) {
+      otpDoc.isUsed = true;
+    }
+    await otpDoc.save();
+
+    const attemptsLeft = MAX_ATTEMPTS - otpDoc.attempts;
+    return {
+      valid: false,
+      message: attemptsLeft > 0
+        ? 'Invalid OTP'
+        : 'Too many attempts. Please request a new OTP',
+      attemptsLeft
+    };
+  }
+
   // Mark as used
   otpDoc.isUsed = true;
   await otpDoc.save();
@@ -74,4 +123,29 @@ otpSchema.statics.verifyOTP = async function(phone, otp) {
   return { valid: true, message: 'OTP verified successfully' };
 };
 
+// Static method to check whether a new OTP may be sent to this phone
+otpSchema.statics.checkResendAllowed = async function(phone) {
+  const now = Date.now();
+
+  const latest = await this.findOne({ phone }).sort({ createdAt: -1 });
+  if (latest) {
+    const nextAllowedAt = latest.createdAt.getTime() + RESEND_COOLDOWN_MS;
+    if (nextAllowedAt > now) {
+      return { allowed: false, retryAfter: Math.ceil((nextAllowedAt - now) / 1000) };
+    }
+  }
+
+  const sentInWindow = await this.find({
+    phone,
+    createdAt: { $gt: new Date(now - RESEND_WINDOW_MS) }
+  }).sort({ createdAt: 1 }).select('createdAt');
+
+  if (sentInWindow.length >= MAX_SENDS_PER_WINDOW) {
+    const windowFreesAt = sentInWindow[0].createdAt.getTime() + RESEND_WINDOW_MS;
+    return { allowed: false, retryAfter: Math.ceil((windowFreesAt - now) / 1000) };
+  }
+
+  return { allowed: true };
+};
+
 module.exports = mongoose.model('Otp', otpSchema);
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// Scopes a personal access token can be granted
+const SCOPES = [
+  'status:read',
+  'status:write',
+  'notifications:read',
+  'notifications:send',
+  'location:read'
+];
+
+// Tokens are recognisable by prefix so auth can tell them apart from JWTs
+const TOKEN_PREFIX = 'cpat_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A long-lived token a user creates for scripts and home-automation hubs.
+// Only its hash is stored; the raw token is shown once at creation.
+const personalAccessTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the token, so users can tell their tokens apart
+  tokenPrefix: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: SCOPES }],
+    validate: {
+      validator: (v) => v.length > 0,
+      message: 'At least one scope is required'
+    }
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+personalAccessTokenSchema.statics.SCOPES = SCOPES;
+personalAccessTokenSchema.statics.TOKEN_PREFIX = TOKEN_PREFIX;
+
+// Index for listing a user's tokens
+personalAccessTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Check if token can still be used
+personalAccessTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+personalAccessTokenSchema.methods.hasScope = function(scope) {
+  return this.scopes.includes(scope);
+};
+
+// Static method to create a token. Returns { token, accessToken } - the raw token is not stored.
+personalAccessTokenSchema.statics.generate = async function(userId, { name, scopes, expiresAt = null }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+
+  const accessToken = await this.create({
+    userId,
+    name,
+    scopes,
+    expiresAt,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, TOKEN_PREFIX.length + 6)
+  });
+
+  return { token, accessToken };
+};
+
+// Static method to find the active token for a raw token value
+personalAccessTokenSchema.statics.findActiveByToken = async function(token) {
+  const accessToken = await this.findOne({ tokenHash: hashToken(token), revokedAt: null });
+  return accessToken && accessToken.isActive() ? accessToken : null;
+};
+
+module.exports = mongoose.model('PersonalAccessToken', personalAccessTokenSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+const REASONS = ['spam', 'harassment', 'inappropriate_content', 'impersonation', 'other'];
+const STATUSES = ['open', 'actioned', 'dismissed'];
+
+// A user's report of another user, or of a notification they received.
+// Reports wait in the moderation queue until an admin actions or dismisses them.
+const reportSchema = new mongoose.Schema({
+  reporterId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reportedUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: ['user', 'notification'],
+    required: true
+  },
+  notificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Notification',
+    default: null
+  },
+  // Copy of the reported notification, kept even if it is later deleted
+  notificationSnapshot: {
+    notificationType: String,
+    title: String,
+    message: String,
+    sentAt: Date
+  },
+  reason: {
+    type: String,
+    enum: REASONS,
+    required: true
+  },
+  details: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  // Links to screenshots or other material the reporter provided
+  evidence: {
+    type: [String],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'open'
+  },
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  resolvedAt: {
+    type: Date,
+    default: null
+  },
+  resolutionNote: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportSchema.index({ status: 1, createdAt: 1 });
+reportSchema.index({ reportedUserId: 1, createdAt: -1 });
+reportSchema.index({ reporterId: 1 });
+
+reportSchema.statics.REASONS = REASONS;
+reportSchema.statics.STATUSES = STATUSES;
+
+// Different people who reported a user since a date. Dismissed reports don't count.
+reportSchema.statics.findReporterIds = async function(userId, since) {
+  return await this.distinct('reporterId', {
+    reportedUserId: userId,
+    status: { $ne: 'dismissed' },
+    createdAt: { $gte: since }
+  });
+};
+
+module.exports = mongoose.model('Report', reportSchema);
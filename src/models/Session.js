@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// One session per login. The refresh token family of a login shares the session,
+// and only the most recently issued refresh token (refreshTokenId) is valid.
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenId: {
+    type: String,
+    required: true
+  },
+  deviceId: {
+    type: String,
+    default: null
+  },
+  deviceName: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  userAgent: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  // Hash of the pre-session refresh token this session was exchanged for, so it can't be exchanged twice
+  legacyTokenHash: {
+    type: String,
+    unique: true,
+    sparse: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for user session lookups
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+// TTL index to automatically delete expired sessions
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Check if session can still be used
+sessionSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+// Static method to get active sessions for a user
+sessionSchema.statics.getActiveSessions = async function(userId) {
+  return await this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
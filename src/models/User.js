@@ -1,5 +1,7 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { isValidTimeZone, normalizeLocale } = require('../services/calendar');
 
 const customStatusSchema = new mongoose.Schema({
   name: { type: String, required: true },
@@ -13,6 +15,26 @@ const customNotificationSchema = new mongoose.Schema({
   isPremium: { type: Boolean, default: false }
 }, { _id: true });
 
+const recoveryCodeSchema = new mongoose.Schema({
+  codeHash: { type: String, required: true },
+  usedAt: { type: Date, default: null }
+}, { _id: false });
+
+const identitySchema = new mongoose.Schema({
+  provider: { type: String, enum: ['google', 'apple'], required: true },
+  subject: { type: String, required: true },
+  email: { type: String, default: null },
+  linkedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const deviceSchema = new mongoose.Schema({
+  deviceId: { type: String, required: true },
+  platform: { type: String, enum: ['ios', 'android', 'web'], default: null },
+  appVersion: { type: String, default: null },
+  fcmToken: { type: String, default: null },
+  lastSeenAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   phone: {
     type: String,
@@ -20,6 +42,15 @@ const userSchema = new mongoose.Schema({
     sparse: true,
     trim: true
   },
+  // Derived from phone by the hooks below, for contact matching
+  phoneNormalized: {
+    type: String,
+    default: null
+  },
+  phoneHash: {
+    type: String,
+    default: null
+  },
   email: {
     type: String,
     unique: true,
@@ -31,6 +62,18 @@ const userSchema = new mongoose.Schema({
     type: String,
     select: false
   },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  passwordResetToken: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
   name: {
     type: String,
     required: true,
@@ -45,10 +88,48 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage prefix of an uploaded avatar; null for external URLs
+  avatarKey: {
+    type: String,
+    default: null
+  },
+  // IANA timezone (e.g. Europe/Berlin); cycle days and dates are counted in it
+  timezone: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || isValidTimeZone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  // BCP 47 language tag (e.g. en-GB) used to format dates in notifications
+  locale: {
+    type: String,
+    default: null,
+    validate: {
+      validator: (value) => value === null || normalizeLocale(value) === value,
+      message: 'Invalid locale'
+    }
+  },
+  // Stored as UTC midnight of the date
+  birthday: {
+    type: Date,
+    default: null
+  },
   isPremium: {
     type: Boolean,
     default: false
   },
+  // Premium granted by an admin, independent of any Stripe subscription
+  premiumGrantedAt: {
+    type: Date,
+    default: null
+  },
+  premiumGrantedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   stripeCustomerId: {
     type: String,
     default: null
@@ -94,9 +175,23 @@ const userSchema = new mongoose.Schema({
     enabled: { type: Boolean, default: false },
     shareWith: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
   },
-  fcmToken: {
-    type: String,
-    default: null
+  // Who can find the user, and what their connections can see
+  privacy: {
+    discoverableByPhone: { type: Boolean, default: true },
+    discoverableByEmail: { type: Boolean, default: true },
+    showPhoneToConnections: { type: Boolean, default: true },
+    showEmailToConnections: { type: Boolean, default: true },
+    showLastActive: { type: Boolean, default: true },
+    // Live online/offline shown to connections; lastActive follows showLastActive
+    showOnlineStatus: { type: Boolean, default: true }
+  },
+  devices: {
+    type: [deviceSchema],
+    default: []
+  },
+  identities: {
+    type: [identitySchema],
+    default: []
   },
   firebaseUid: {
     type: String,
@@ -108,14 +203,124 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Whether the current email address itself has been proven. isVerified alone
+  // may come from a verified phone number.
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerificationToken: {
+    type: String,
+    select: false
+  },
+  emailVerificationExpires: {
+    type: Date,
+    select: false
+  },
+  emailVerificationSentAt: {
+    type: Date,
+    default: null
+  },
+  pendingEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+  emailChangeToken: {
+    type: String,
+    select: false
+  },
+  emailChangeExpires: {
+    type: Date,
+    select: false
+  },
+  previousEmail: {
+    type: String,
+    select: false
+  },
+  emailChangeUndoToken: {
+    type: String,
+    select: false
+  },
+  emailChangeUndoExpires: {
+    type: Date,
+    select: false
+  },
   lastActive: {
     type: Date,
     default: Date.now
+  },
+  deletionScheduledAt: {
+    type: Date,
+    default: null
+  },
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  bannedAt: {
+    type: Date,
+    default: null
+  },
+  banReason: {
+    type: String,
+    default: null
+  },
+  twoFactor: {
+    enabled: { type: Boolean, default: false },
+    enabledAt: { type: Date, default: null },
+    secret: { type: String, select: false },
+    pendingSecret: { type: String, select: false },
+    lastUsedStep: { type: Number, select: false },
+    recoveryCodes: { type: [recoveryCodeSchema], select: false }
   }
 }, {
   timestamps: true
 });
 
+// A provider account can be linked to one user only
+userSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
+
+// Index for the scheduled deletion sweep
+userSchema.index({ deletionScheduledAt: 1 });
+
+// Indexes for contact matching
+userSchema.index({ phoneNormalized: 1 });
+userSchema.index({ phoneHash: 1 });
+
+// Derive the E.164 phone and its contact-sync hash from phone
+// Required lazily: the phone service depends on this model
+const getPhoneDerivedFields = (phone) => {
+  const { normalizePhone, hashPhone } = require('../services/phone');
+  const phoneNormalized = phone ? normalizePhone(phone) : null;
+  return { phoneNormalized, phoneHash: phoneNormalized ? hashPhone(phoneNormalized) : null };
+};
+
+userSchema.pre('save', function(next) {
+  if (this.isModified('phone')) {
+    this.set(getPhoneDerivedFields(this.phone));
+  }
+  next();
+});
+
+// Same for phone changes made through update queries
+userSchema.pre(['findOneAndUpdate', 'updateOne'], function(next) {
+  const update = this.getUpdate() || {};
+  const phone = update.$set && 'phone' in update.$set ? update.$set.phone : update.phone;
+
+  if (phone !== undefined) {
+    this.set(getPhoneDerivedFields(phone));
+  } else if (update.$unset && 'phone' in update.$unset) {
+    this.set({ phoneNormalized: null, phoneHash: null });
+  }
+  next();
+});
+
 // Hash password before saving
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password') || !this.password) {
@@ -125,11 +330,167 @@ userSchema.pre('save', async function(next) {
   next();
 });
 
+// Banned accounts cannot sign in or use existing tokens
+userSchema.methods.isBanned = function() {
+  return !!this.bannedAt;
+};
+
+// Contact details other users may see, with hidden fields set to null.
+// If the query didn't select `privacy`, everything is hidden.
+userSchema.methods.getSharedDetails = function() {
+  const privacy = this.isSelected('privacy') ? this.privacy : null;
+  return {
+    phone: privacy?.showPhoneToConnections ? this.phone || null : null,
+    email: privacy?.showEmailToConnections ? this.email || null : null,
+    lastActive: privacy?.showLastActive ? this.lastActive : null
+  };
+};
+
 // Compare password method
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Create a password reset token. Only its hash is stored; the raw token goes in the email.
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.passwordResetExpires = new Date(Date.now() + 60 * 60 * 1000); // 1 hour
+  return token;
+};
+
+// Static method to find the user a password reset token belongs to
+userSchema.statics.findByPasswordResetToken = async function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return await this.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: new Date() }
+  }).select('+password +passwordResetToken +passwordResetExpires');
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailVerificationExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
+// Static method to find user by a valid email verification token
+userSchema.statics.findByEmailVerificationToken = async function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return await this.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: new Date() }
+  }).select('+emailVerificationToken +emailVerificationExpires');
+};
+
+// Static method to load a user together with their two-factor secrets
+userSchema.statics.findWithTwoFactor = async function(userId) {
+  return await this.findById(userId).select(
+    '+password +twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes'
+  );
+};
+
+// Static method to find the user linked to a provider account
+userSchema.statics.findByIdentity = async function(provider, subject) {
+  return await this.findOne({
+    identities: { $elemMatch: { provider, subject } }
+  });
+};
+
+// Check whether the user has a way to sign in other than the given identity
+// (load the user with +password)
+userSchema.methods.hasOtherLoginMethod = function(provider) {
+  return !!(this.password || this.phone || this.identities.some(i => i.provider !== provider));
+};
+
+// Start an email change; the token is sent to the new address
+userSchema.methods.createEmailChangeToken = function(newEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.pendingEmail = newEmail;
+  this.emailChangeToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailChangeExpires = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours
+  return token;
+};
+
+// Static method to find user by a valid email change token
+userSchema.statics.findByEmailChangeToken = async function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return await this.findOne({
+    emailChangeToken: hashedToken,
+    emailChangeExpires: { $gt: new Date() }
+  }).select('+emailChangeToken +emailChangeExpires');
+};
+
+// Let the previous address revert a completed email change
+userSchema.methods.createEmailChangeUndoToken = function(previousEmail) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.previousEmail = previousEmail;
+  this.emailChangeUndoToken = crypto.createHash('sha256').update(token).digest('hex');
+  this.emailChangeUndoExpires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+  return token;
+};
+
+// Static method to find user by a valid email change undo token
+userSchema.statics.findByEmailChangeUndoToken = async function(token) {
+  const hashedToken = crypto.createHash('sha256').update(token).digest('hex');
+  return await this.findOne({
+    emailChangeUndoToken: hashedToken,
+    emailChangeUndoExpires: { $gt: new Date() }
+  }).select('+password +previousEmail +emailChangeUndoToken +emailChangeUndoExpires');
+};
+
+// Get push tokens of all registered devices
+userSchema.methods.getFcmTokens = function() {
+  return [...new Set(this.devices.map(d => d.fcmToken).filter(Boolean))];
+};
+
+// Static method to register or update a device
+// A push token belongs to one device only, so it is removed from any other device/user first
+userSchema.statics.registerDevice = async function(userId, { deviceId, platform, appVersion, fcmToken }) {
+  if (fcmToken) {
+    await this.updateMany(
+      { 'devices.fcmToken': fcmToken },
+      { $pull: { devices: { fcmToken, deviceId: { $ne: deviceId } } } }
+    );
+    await this.updateMany(
+      { _id: { $ne: userId }, 'devices.fcmToken': fcmToken },
+      { $pull: { devices: { fcmToken } } }
+    );
+  }
+
+  const device = {
+    deviceId,
+    platform: platform || null,
+    appVersion: appVersion || null,
+    fcmToken: fcmToken || null,
+    lastSeenAt: new Date()
+  };
+
+  const updated = await this.findOneAndUpdate(
+    { _id: userId, 'devices.deviceId': deviceId },
+    { $set: { 'devices.$': device } },
+    { new: true }
+  );
+  if (updated) return updated;
+
+  return await this.findByIdAndUpdate(
+    userId,
+    { $push: { devices: device } },
+    { new: true }
+  );
+};
+
+// Static method to remove a device
+userSchema.statics.removeDevice = async function(userId, deviceId) {
+  return await this.updateOne(
+    { _id: userId },
+    { $pull: { devices: { deviceId } } }
+  );
+};
+
 // Get free custom status slots remaining
 userSchema.methods.getFreeStatusSlots = function() {
   const used = this.customStatuses.filter(s => !s.isPremium).length;
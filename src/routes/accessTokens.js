@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const AuditLog = require('../models/AuditLog');
+const { auth } = require('../middleware/auth');
+
+const router = express.Router();
+
+const MAX_ACTIVE_TOKENS = 20;
+const MAX_EXPIRY_DAYS = 365;
+
+const formatToken = (token) => ({
+  id: token._id,
+  name: token.name,
+  tokenPrefix: token.tokenPrefix,
+  scopes: token.scopes,
+  expiresAt: token.expiresAt,
+  lastUsedAt: token.lastUsedAt,
+  lastUsedIp: token.lastUsedIp,
+  createdAt: token.createdAt
+});
+
+// List active personal access tokens
+router.get('/', auth, async (req, res) => {
+  try {
+    const tokens = await PersonalAccessToken.find({ userId: req.user._id, revokedAt: null })
+      .sort({ createdAt: -1 });
+
+    res.json({
+      tokens: tokens.filter(t => t.isActive()).map(formatToken),
+      availableScopes: PersonalAccessToken.SCOPES
+    });
+  } catch (error) {
+    console.error('Get access tokens error:', error);
+    res.status(500).json({ error: 'Failed to get access tokens' });
+  }
+});
+
+// Create a token. The raw token is returned only once, here.
+router.post('/', auth, [
+  body('name').trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(PersonalAccessToken.SCOPES).withMessage('Unknown scope'),
+  body('expiresInDays').optional().isInt({ min: 1, max: MAX_EXPIRY_DAYS })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, expiresInDays } = req.body;
+    const scopes = [...new Set(req.body.scopes)];
+
+    const activeCount = await PersonalAccessToken.countDocuments({
+      userId: req.user._id,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= MAX_ACTIVE_TOKENS) {
+      return res.status(400).json({
+        error: `You can have at most ${MAX_ACTIVE_TOKENS} active tokens`,
+        code: 'TOO_MANY_TOKENS'
+      });
+    }
+
+    const expiresAt = expiresInDays
+      ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000)
+      : null;
+
+    const { token, accessToken } = await PersonalAccessToken.generate(req.user._id, { name, scopes, expiresAt });
+
+    await AuditLog.record(req.user._id, 'access_token_created', req, { tokenId: accessToken._id, scopes });
+
+    res.status(201).json({
+      message: 'Access token created. Copy it now - it will not be shown again.',
+      token,
+      accessToken: formatToken(accessToken)
+    });
+  } catch (error) {
+    console.error('Create access token error:', error);
+    res.status(500).json({ error: 'Failed to create access token' });
+  }
+});
+
+// Revoke a token
+router.delete('/:tokenId', auth, async (req, res) => {
+  try {
+    const { tokenId } = req.params;
+
+    const accessToken = mongoose.isValidObjectId(tokenId)
+      ? await PersonalAccessToken.findOneAndUpdate(
+        { _id: tokenId, userId: req.user._id, revokedAt: null },
+        { revokedAt: new Date() },
+        { new: true }
+      )
+      : null;
+
+    if (!accessToken) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+
+    await AuditLog.record(req.user._id, 'access_token_revoked', req, { tokenId: accessToken._id });
+
+    res.json({ message: 'Access token revoked' });
+  } catch (error) {
+    console.error('Revoke access token error:', error);
+    res.status(500).json({ error: 'Failed to revoke access token' });
+  }
+});
+
+module.exports = router;
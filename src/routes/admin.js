@@ -0,0 +1,602 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Status = require('../models/Status');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Report = require('../models/Report');
+const { auth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/admin');
+const { revokeAllSessions } = require('../services/session');
+const { CacheService } = require('../services/cache');
+
+const router = express.Router();
+
+// Limits for the connection graph so a dense network can't blow up the response
+const MAX_GRAPH_DEPTH = 3;
+const MAX_GRAPH_NODES = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Summary of a user as shown in admin listings
+const formatUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  phone: user.phone,
+  role: user.role,
+  isVerified: user.isVerified,
+  isPremium: user.isPremium,
+  premiumGrantedAt: user.premiumGrantedAt,
+  isBanned: user.isBanned(),
+  bannedAt: user.bannedAt,
+  banReason: user.banReason,
+  deletionScheduledAt: user.deletionScheduledAt,
+  lastActive: user.lastActive,
+  createdAt: user.createdAt
+});
+
+// Load the user named in the URL into req.targetUser
+const loadTargetUser = async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Admin load user error:', error);
+    res.status(500).json({ error: 'Failed to load user' });
+  }
+};
+
+// Every route here is for admins only
+router.use(auth, requireAdmin);
+
+// Look up users by id, email, phone or name
+router.get('/users', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    let filter = {};
+    if (q && mongoose.isValidObjectId(q)) {
+      filter = { _id: q };
+    } else if (q) {
+      const pattern = new RegExp(escapeRegex(q), 'i');
+      filter = { $or: [{ email: pattern }, { phone: pattern }, { name: pattern }] };
+    }
+    if (req.query.banned === 'true') {
+      filter.bannedAt = { $ne: null };
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(filter)
+    ]);
+
+    await AuditLog.recordAdminAction(req, 'users_searched', null, { q, banned: req.query.banned === 'true' });
+
+    res.json({ users: users.map(formatUser), total, page, limit });
+  } catch (error) {
+    console.error('Admin user search error:', error);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Get a user's account details
+router.get('/users/:userId', loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    const [activeSessions, connectionCount, openReports] = await Promise.all([
+      Session.countDocuments({ userId: user._id, revokedAt: null, expiresAt: { $gt: new Date() } }),
+      Connection.countDocuments({
+        $or: [{ userId: user._id }, { connectedUserId: user._id }],
+        status: 'accepted'
+      }),
+      Report.countDocuments({ reportedUserId: user._id, status: 'open' })
+    ]);
+
+    await AuditLog.recordAdminAction(req, 'user_viewed', user._id);
+
+    res.json({
+      user: {
+        ...formatUser(user),
+        gender: user.gender,
+        avatar: user.avatar,
+        pendingEmail: user.pendingEmail,
+        stripeCustomerId: user.stripeCustomerId,
+        stripeSubscriptionId: user.stripeSubscriptionId,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
+        identities: user.identities.map(i => ({ provider: i.provider, email: i.email, linkedAt: i.linkedAt })),
+        devices: user.devices.map(d => ({ platform: d.platform, appVersion: d.appVersion, lastSeenAt: d.lastSeenAt })),
+        activeSessions,
+        connectionCount,
+        openReports
+      }
+    });
+  } catch (error) {
+    console.error('Admin get user error:', error);
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+});
+
+// Get the audit trail of a user: their own security events and admin actions on them
+router.get('/users/:userId/audit', loadTargetUser, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    const entries = await AuditLog.find({
+      $or: [{ userId: req.targetUser._id }, { targetUserId: req.targetUser._id }]
+    })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('userId', 'name email');
+
+    await AuditLog.recordAdminAction(req, 'user_audit_viewed', req.targetUser._id);
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Admin get user audit error:', error);
+    res.status(500).json({ error: 'Failed to get audit trail' });
+  }
+});
+
+// Ban a user - signs them out everywhere and blocks new sign-ins
+router.post('/users/:userId/ban', loadTargetUser, [
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.targetUser;
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'You cannot ban yourself' });
+    }
+
+    if (user.isBanned()) {
+      return res.status(400).json({ error: 'User is already banned', code: 'ALREADY_BANNED' });
+    }
+
+    user.bannedAt = new Date();
+    user.banReason = req.body.reason || null;
+    await user.save();
+
+    const revokedCount = await revokeAllSessions(user._id, 'banned');
+    await CacheService.invalidateUser(user._id.toString());
+
+    await AuditLog.recordAdminAction(req, 'user_banned', user._id, { reason: user.banReason, revokedCount });
+
+    res.json({ message: 'User banned', user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin ban user error:', error);
+    res.status(500).json({ error: 'Failed to ban user' });
+  }
+});
+
+// Lift a ban
+router.post('/users/:userId/unban', loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (!user.isBanned()) {
+      return res.status(400).json({ error: 'User is not banned', code: 'NOT_BANNED' });
+    }
+
+    const previousReason = user.banReason;
+    user.bannedAt = null;
+    user.banReason = null;
+    await user.save();
+
+    await CacheService.invalidateUser(user._id.toString());
+
+    await AuditLog.recordAdminAction(req, 'user_unbanned', user._id, { previousReason });
+
+    res.json({ message: 'User unbanned', user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin unban user error:', error);
+    res.status(500).json({ error: 'Failed to unban user' });
+  }
+});
+
+// Grant premium without a subscription
+router.post('/users/:userId/premium', loadTargetUser, [
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = req.targetUser;
+
+    if (user.premiumGrantedAt) {
+      return res.status(400).json({ error: 'Premium is already granted', code: 'PREMIUM_ALREADY_GRANTED' });
+    }
+
+    user.isPremium = true;
+    user.premiumGrantedAt = new Date();
+    user.premiumGrantedBy = req.user._id;
+    await user.save();
+
+    await Promise.all([
+      CacheService.invalidateUser(user._id.toString()),
+      CacheService.invalidateStatuses(user._id.toString())
+    ]);
+
+    await AuditLog.recordAdminAction(req, 'premium_granted', user._id, { reason: req.body.reason || null });
+
+    res.json({ message: 'Premium granted', user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin grant premium error:', error);
+    res.status(500).json({ error: 'Failed to grant premium' });
+  }
+});
+
+// Revoke a manual premium grant. A paid subscription keeps premium active.
+router.delete('/users/:userId/premium', loadTargetUser, async (req, res) => {
+  try {
+    const user = req.targetUser;
+
+    if (!user.premiumGrantedAt) {
+      return res.status(400).json({ error: 'Premium was not granted manually', code: 'PREMIUM_NOT_GRANTED' });
+    }
+
+    user.premiumGrantedAt = null;
+    user.premiumGrantedBy = null;
+    if (!user.stripeSubscriptionId) {
+      user.isPremium = false;
+    }
+    await user.save();
+
+    await Promise.all([
+      CacheService.invalidateUser(user._id.toString()),
+      CacheService.invalidateStatuses(user._id.toString())
+    ]);
+
+    await AuditLog.recordAdminAction(req, 'premium_revoked', user._id, { isPremium: user.isPremium });
+
+    res.json({ message: 'Premium grant revoked', user: formatUser(user) });
+  } catch (error) {
+    console.error('Admin revoke premium error:', error);
+    res.status(500).json({ error: 'Failed to revoke premium' });
+  }
+});
+
+// Get a user's connection graph, walking out `depth` hops (default 1)
+router.get('/users/:userId/connections', loadTargetUser, async (req, res) => {
+  try {
+    const depth = Math.min(Math.max(parseInt(req.query.depth) || 1, 1), MAX_GRAPH_DEPTH);
+    const includeAll = req.query.status === 'all';
+
+    const nodeDepth = new Map([[req.targetUser._id.toString(), 0]]);
+    const edges = new Map();
+    let frontier = [req.targetUser._id];
+    let truncated = false;
+
+    for (let level = 1; level <= depth && frontier.length > 0; level++) {
+      const query = { $or: [{ userId: { $in: frontier } }, { connectedUserId: { $in: frontier } }] };
+      if (!includeAll) query.status = 'accepted';
+
+      const connections = await Connection.find(query);
+      const next = [];
+
+      for (const conn of connections) {
+        edges.set(conn._id.toString(), {
+          id: conn._id,
+          from: conn.userId,
+          to: conn.connectedUserId,
+          type: conn.type,
+          status: conn.status,
+          initiatedBy: conn.initiatedBy,
+          createdAt: conn.createdAt
+        });
+
+        for (const id of [conn.userId, conn.connectedUserId]) {
+          const key = id.toString();
+          if (nodeDepth.has(key)) continue;
+          if (nodeDepth.size >= MAX_GRAPH_NODES) {
+            truncated = true;
+            continue;
+          }
+          nodeDepth.set(key, level);
+          next.push(id);
+        }
+      }
+
+      frontier = next;
+    }
+
+    await AuditLog.recordAdminAction(req, 'connection_graph_viewed', req.targetUser._id, { depth });
+
+    const users = await User.find({ _id: { $in: [...nodeDepth.keys()] } })
+      .select('name email phone avatar isPremium bannedAt lastActive');
+
+    // Drop edges to users that were left out of a truncated graph
+    const graphEdges = [...edges.values()].filter(e =>
+      nodeDepth.has(e.from.toString()) && nodeDepth.has(e.to.toString())
+    );
+
+    res.json({
+      rootUserId: req.targetUser._id,
+      depth,
+      truncated,
+      nodes: users.map(u => ({
+        id: u._id,
+        name: u.name,
+        email: u.email,
+        phone: u.phone,
+        avatar: u.avatar,
+        isPremium: u.isPremium,
+        isBanned: u.isBanned(),
+        lastActive: u.lastActive,
+        depth: nodeDepth.get(u._id.toString())
+      })),
+      edges: graphEdges
+    });
+  } catch (error) {
+    console.error('Admin connection graph error:', error);
+    res.status(500).json({ error: 'Failed to get connection graph' });
+  }
+});
+
+// List the default status catalogue
+router.get('/statuses', async (req, res) => {
+  try {
+    const statuses = await Status.find({ isDefault: true }).sort({ createdAt: 1 });
+
+    res.json({
+      statuses: statuses.map(s => ({ id: s._id, name: s.name, emoji: s.emoji }))
+    });
+  } catch (error) {
+    console.error('Admin get statuses error:', error);
+    res.status(500).json({ error: 'Failed to get statuses' });
+  }
+});
+
+// Add a default status
+router.post('/statuses', [
+  body('name').trim().isLength({ min: 1, max: 50 }),
+  body('emoji').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, emoji } = req.body;
+
+    if (await Status.exists({ name, isDefault: true })) {
+      return res.status(409).json({ error: 'A default status with this name already exists' });
+    }
+
+    const status = await Status.create({ name, emoji, isDefault: true });
+
+    await CacheService.invalidateAllStatuses();
+    await AuditLog.recordAdminAction(req, 'default_status_created', null, { statusId: status._id, name, emoji: status.emoji });
+
+    res.status(201).json({
+      message: 'Default status created',
+      status: { id: status._id, name: status.name, emoji: status.emoji }
+    });
+  } catch (error) {
+    console.error('Admin create status error:', error);
+    res.status(500).json({ error: 'Failed to create status' });
+  }
+});
+
+// Update a default status
+router.put('/statuses/:statusId', [
+  body('name').optional().trim().isLength({ min: 1, max: 50 }),
+  body('emoji').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { statusId } = req.params;
+    const status = mongoose.isValidObjectId(statusId)
+      ? await Status.findOne({ _id: statusId, isDefault: true })
+      : null;
+
+    if (!status) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+
+    const previous = { name: status.name, emoji: status.emoji };
+    if (req.body.name !== undefined) status.name = req.body.name;
+    if (req.body.emoji !== undefined) status.emoji = req.body.emoji;
+    await status.save();
+
+    await CacheService.invalidateAllStatuses();
+    await AuditLog.recordAdminAction(req, 'default_status_updated', null, {
+      statusId: status._id,
+      previous,
+      name: status.name,
+      emoji: status.emoji
+    });
+
+    res.json({
+      message: 'Default status updated',
+      status: { id: status._id, name: status.name, emoji: status.emoji }
+    });
+  } catch (error) {
+    console.error('Admin update status error:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+// Remove a default status. Users who had it set are left without a status.
+router.delete('/statuses/:statusId', async (req, res) => {
+  try {
+    const { statusId } = req.params;
+    const status = mongoose.isValidObjectId(statusId)
+      ? await Status.findOne({ _id: statusId, isDefault: true })
+      : null;
+
+    if (!status) {
+      return res.status(404).json({ error: 'Status not found' });
+    }
+
+    await Status.deleteOne({ _id: status._id });
+    const result = await User.updateMany({ currentStatus: status._id }, { currentStatus: null });
+
+    await CacheService.invalidateAllStatuses();
+    await AuditLog.recordAdminAction(req, 'default_status_deleted', null, {
+      statusId: status._id,
+      name: status.name,
+      usersCleared: result.modifiedCount
+    });
+
+    res.json({ message: 'Default status deleted' });
+  } catch (error) {
+    console.error('Admin delete status error:', error);
+    res.status(500).json({ error: 'Failed to delete status' });
+  }
+});
+
+// Report as shown in the moderation queue
+const formatReport = (report) => ({
+  id: report._id,
+  targetType: report.targetType,
+  reporter: report.reporterId?._id
+    ? { id: report.reporterId._id, name: report.reporterId.name, email: report.reporterId.email }
+    : report.reporterId,
+  reportedUser: report.reportedUserId?._id
+    ? { id: report.reportedUserId._id, name: report.reportedUserId.name, email: report.reportedUserId.email }
+    : report.reportedUserId,
+  notificationId: report.notificationId,
+  notification: report.notificationSnapshot?.title ? report.notificationSnapshot : null,
+  reason: report.reason,
+  details: report.details,
+  evidence: report.evidence,
+  status: report.status,
+  resolvedBy: report.resolvedBy,
+  resolvedAt: report.resolvedAt,
+  resolutionNote: report.resolutionNote,
+  createdAt: report.createdAt
+});
+
+// Moderation queue. Open reports come oldest first; resolved ones newest first.
+router.get('/reports', [
+  query('status').optional().isIn(Report.STATUSES),
+  query('userId').optional().isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const status = req.query.status || 'open';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const filter = { status };
+    if (req.query.userId) {
+      filter.reportedUserId = req.query.userId;
+    }
+
+    const [reports, total] = await Promise.all([
+      Report.find(filter)
+        .sort({ createdAt: status === 'open' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('reporterId', 'name email')
+        .populate('reportedUserId', 'name email'),
+      Report.countDocuments(filter)
+    ]);
+
+    await AuditLog.recordAdminAction(req, 'reports_viewed', req.query.userId || null, { status });
+
+    res.json({ reports: reports.map(formatReport), total, page, limit });
+  } catch (error) {
+    console.error('Admin get reports error:', error);
+    res.status(500).json({ error: 'Failed to get reports' });
+  }
+});
+
+// Close a report as actioned or dismissed. Banning is a separate step.
+router.post('/reports/:reportId/resolve', [
+  body('status').isIn(['actioned', 'dismissed']),
+  body('note').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const report = mongoose.isValidObjectId(req.params.reportId)
+      ? await Report.findById(req.params.reportId)
+      : null;
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    if (report.status !== 'open') {
+      return res.status(400).json({ error: 'Report is already resolved', code: 'REPORT_ALREADY_RESOLVED' });
+    }
+
+    report.status = req.body.status;
+    report.resolvedBy = req.user._id;
+    report.resolvedAt = new Date();
+    report.resolutionNote = req.body.note || null;
+    await report.save();
+
+    await AuditLog.recordAdminAction(req, `report_${report.status}`, report.reportedUserId, {
+      reportId: report._id,
+      reason: report.reason
+    });
+
+    res.json({ message: 'Report resolved', report: formatReport(report) });
+  } catch (error) {
+    console.error('Admin resolve report error:', error);
+    res.status(500).json({ error: 'Failed to resolve report' });
+  }
+});
+
+// List admin actions, newest first
+router.get('/audit', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { action: /^admin:/ };
+    if (req.query.adminId && mongoose.isValidObjectId(req.query.adminId)) {
+      filter.userId = req.query.adminId;
+    }
+
+    const entries = await AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('userId', 'name email');
+
+    res.json({ entries });
+  } catch (error) {
+    console.error('Admin get audit error:', error);
+    res.status(500).json({ error: 'Failed to get audit trail' });
+  }
+});
+
+module.exports = router;
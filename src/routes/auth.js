@@ -1,27 +1,104 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Status = require('../models/Status');
+const Otp = require('../models/Otp');
+const Session = require('../models/Session');
+const Connection = require('../models/Connection');
+const AuditLog = require('../models/AuditLog');
 const { verifyFirebaseIdToken, isFirebaseInitialized } = require('../services/push');
+const { sendOtpSms, sendPhoneChangedSms } = require('../services/sms');
+const {
+  sendVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangedNotice,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/mail');
+const {
+  createSession,
+  bindSessionDevice,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  revokeAllAccessTokens
+} = require('../services/session');
+const {
+  confirmAccountDeletion,
+  requestAccountDeletion,
+  cancelAccountDeletion
+} = require('../services/accountDeletion');
+const { storeAvatar, deleteAvatarFiles, getAvatarUrls } = require('../services/avatar');
+const { isValidTimeZone, normalizeLocale, parseBirthday } = require('../services/calendar');
+const { publishPresence } = require('../services/presence');
+const { redeemInvites } = require('../services/invites');
+const { getAdminEmails, bootstrapAdmins } = require('../services/admin');
+const {
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken
+} = require('../services/twoFactor');
+const { recordFailure, clearFailures, notifyAccountLocked } = require('../services/rateLimit');
+const { CacheService } = require('../services/cache');
+const { isSupportedProvider, verifyIdToken } = require('../services/oauth');
+const { mergeAccounts } = require('../services/accountMerge');
 const { auth } = require('../middleware/auth');
+const { avatarUpload } = require('../middleware/upload');
+const { rateLimit, checkLockout } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
-// Generate tokens
-const generateTokens = (userId) => {
-  const accessToken = jwt.sign(
-    { userId },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+// Minimum time between verification emails for the same account
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000; // 1 minute
 
-  const refreshToken = jwt.sign(
-    { userId, type: 'refresh' },
-    process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d' }
-  );
+// Per-IP request limits for unauthenticated endpoints
+const SIGN_IN_LIMIT = { max: 30, windowSeconds: 15 * 60 };
+const REFRESH_LIMIT = { max: 120, windowSeconds: 15 * 60 };
+const MESSAGE_LIMIT = { max: 10, windowSeconds: 60 * 60 }; // endpoints that send SMS or email
+const AVATAR_UPLOAD_LIMIT = { max: 20, windowSeconds: 60 * 60 };
 
+// Describe where a request comes from, for the sessions list
+const getSessionMeta = (req) => ({
+  deviceName: req.body.deviceName ? String(req.body.deviceName).trim().slice(0, 100) : null,
+  ip: req.ip,
+  userAgent: req.get('User-Agent') || null
+});
+
+// Count a failed attempt and warn the owner if it locked their account
+const recordAuthFailure = async (req, scope, account = null, user = null) => {
+  const result = await recordFailure(scope, { ip: req.ip, account });
+  if (result.accountLocked && user) {
+    await notifyAccountLocked(user, result.retryAfter);
+  }
+};
+
+// Drop cached data that exposes the user's phone or email after it changes:
+// search results pointing at them and their connections' lists
+const invalidateContactCaches = async (user) => {
+  const connections = await Connection.find({
+    $or: [{ userId: user._id }, { connectedUserId: user._id }],
+    status: 'accepted'
+  }).select('userId connectedUserId');
+
+  await Promise.all([
+    CacheService.invalidateSearchForUser(user._id.toString()),
+    CacheService.invalidateUser(user._id.toString()),
+    CacheService.invalidateConnections(user._id.toString()),
+    ...connections.map(c => CacheService.invalidateConnections(
+      (c.userId.equals(user._id) ? c.connectedUserId : c.userId).toString()
+    ))
+  ]);
+};
+
+// Refuse sign-in to a banned account
+const sendAccountBanned = (res) => {
+  return res.status(403).json({ error: 'This account has been suspended', code: 'ACCOUNT_BANNED' });
+};
+
+// Start a new session and generate its tokens
+const generateTokens = async (userId, req) => {
+  const { accessToken, refreshToken } = await createSession(userId, getSessionMeta(req));
   return { accessToken, refreshToken };
 };
 
@@ -31,7 +108,8 @@ router.post('/register', [
   body('password').isLength({ min: 6 }),
   body('name').trim().isLength({ min: 2 }),
   body('phone').optional().isMobilePhone(),
-  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say'])
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say']),
+  body('inviteToken').optional().isString()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -39,7 +117,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { email, password, name, phone, gender } = req.body;
+    const { email, password, name, phone, gender, inviteToken } = req.body;
 
     // Check if email already exists
     const existingUser = await User.findOne({ email });
@@ -63,26 +141,35 @@ router.post('/register', [
       email,
       password,
       name,
-      isVerified: true, // Email users are verified by default
+      isVerified: false, // Verified once the emailed link is opened
       currentStatus: defaultStatus?._id
     };
     if (phone) userData.phone = phone;
     if (gender) userData.gender = gender;
 
-    const user = await User.create(userData);
+    const user = new User(userData);
+    const verificationToken = user.createEmailVerificationToken();
+    await user.save();
+
+    await sendVerificationEmail(user.email, user.name, verificationToken);
+
+    // Connect with whoever sent the invite link. Invites sent to the email wait until it is verified.
+    const invitedConnections = await redeemInvites(user, { token: inviteToken });
 
-    const tokens = generateTokens(user._id);
+    const tokens = await generateTokens(user._id, req);
 
     res.status(201).json({
-      message: 'Registration successful',
+      message: 'Registration successful. Please check your email to verify your account.',
       user: {
         id: user._id,
         email: user.email,
         phone: user.phone,
         name: user.name,
         gender: user.gender,
-        isPremium: user.isPremium
+        isPremium: user.isPremium,
+        isVerified: user.isVerified
       },
+      connections: invitedConnections.map(c => ({ id: c._id, type: c.type, status: c.status })),
       ...tokens
     });
   } catch (error) {
@@ -92,10 +179,10 @@ router.post('/register', [
 });
 
 // Login with email
-router.post('/login', [
+router.post('/login', rateLimit('login', SIGN_IN_LIMIT), [
   body('email').isEmail().normalizeEmail(),
   body('password').exists()
-], async (req, res) => {
+], checkLockout('login', req => req.body.email), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -107,6 +194,7 @@ router.post('/login', [
     // Find user and include password
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
+      await recordAuthFailure(req, 'login', email);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -116,14 +204,30 @@ router.post('/login', [
 
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordAuthFailure(req, 'login', email, user);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    await clearFailures('login', { account: email });
+
+    if (user.isBanned()) {
+      return sendAccountBanned(res);
+    }
+
+    // Second step: exchange the challenge token and a code at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        requiresTwoFactor: true,
+        challengeToken: createChallengeToken(user._id),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
     // Update last active
     user.lastActive = new Date();
     await user.save();
 
-    const tokens = generateTokens(user._id);
+    const tokens = await generateTokens(user._id, req);
 
     res.json({
       message: 'Login successful',
@@ -134,7 +238,8 @@ router.post('/login', [
         name: user.name,
         gender: user.gender,
         avatar: user.avatar,
-        isPremium: user.isPremium
+        isPremium: user.isPremium,
+        isVerified: user.isVerified
       },
       ...tokens
     });
@@ -144,14 +249,87 @@ router.post('/login', [
   }
 });
 
+// Complete a login for accounts with two-factor authentication
+router.post('/login/2fa', rateLimit('login-2fa', SIGN_IN_LIMIT), [
+  body('challengeToken').isString().isLength({ min: 1 }),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Invalid verification code'),
+  body('recoveryCode').optional().isString()
+], checkLockout('2fa', req => verifyChallengeToken(req.body.challengeToken)), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Verification code or recovery code required' });
+    }
+
+    const userId = verifyChallengeToken(challengeToken);
+    if (!userId) {
+      await recordAuthFailure(req, '2fa');
+      return res.status(401).json({ error: 'Login challenge expired, please log in again', code: 'INVALID_CHALLENGE' });
+    }
+
+    const user = await User.findWithTwoFactor(userId);
+    if (!user || !user.twoFactor.enabled) {
+      return res.status(401).json({ error: 'Login challenge expired, please log in again', code: 'INVALID_CHALLENGE' });
+    }
+
+    const result = verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      await recordAuthFailure(req, '2fa', userId, user);
+      return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    await clearFailures('2fa', { account: userId });
+
+    if (user.isBanned()) {
+      return sendAccountBanned(res);
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    if (result.method === 'recovery_code') {
+      await AuditLog.record(user._id, '2fa_recovery_code_used', req, {
+        remainingCodes: user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+      });
+    }
+
+    const tokens = await generateTokens(user._id, req);
+
+    res.json({
+      message: 'Login successful',
+      user: {
+        id: user._id,
+        email: user.email,
+        phone: user.phone,
+        name: user.name,
+        gender: user.gender,
+        avatar: user.avatar,
+        isPremium: user.isPremium,
+        isVerified: user.isVerified
+      },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('2FA login error:', error);
+    res.status(500).json({ error: 'Login failed' });
+  }
+});
+
 // Firebase Phone Authentication
 // Verifies Firebase ID token and creates/logs in user
-router.post('/firebase-phone', [
+router.post('/firebase-phone', rateLimit('firebase-phone', SIGN_IN_LIMIT), [
   body('firebaseIdToken').exists().withMessage('Firebase token is required'),
   body('phone').matches(/^\+[1-9]\d{6,14}$/).withMessage('Invalid phone number format'),
   body('name').optional().trim().isLength({ min: 2 }),
-  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say'])
-], async (req, res) => {
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say']),
+  body('inviteToken').optional().isString()
+], checkLockout('firebase-phone', req => req.body.phone), async (req, res) => {
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -159,7 +337,7 @@ router.post('/firebase-phone', [
       return res.status(400).json({ error: errors.array()[0].msg });
     }
 
-    const { firebaseIdToken, phone, name, gender } = req.body;
+    const { firebaseIdToken, phone, name, gender, inviteToken } = req.body;
 
     // Check if Firebase is configured
     if (!isFirebaseInitialized()) {
@@ -169,17 +347,20 @@ router.post('/firebase-phone', [
     // Verify Firebase ID token
     const firebaseResult = await verifyFirebaseIdToken(firebaseIdToken);
     if (!firebaseResult.success) {
+      await recordAuthFailure(req, 'firebase-phone');
       return res.status(401).json({ error: 'Invalid Firebase token' });
     }
 
     // Verify phone number matches
     if (firebaseResult.phone !== phone) {
+      await recordAuthFailure(req, 'firebase-phone', phone);
       return res.status(401).json({ error: 'Phone number mismatch' });
     }
 
     // Find or create user
     let user = await User.findOne({ phone });
     let isNewUser = false;
+    let invitedConnections = [];
 
     if (!user) {
       // New user - require name and gender
@@ -203,6 +384,11 @@ router.post('/firebase-phone', [
 
       user = await User.create(userData);
       isNewUser = true;
+
+      // Firebase verified the number, so invites sent to it count too
+      invitedConnections = await redeemInvites(user, { token: inviteToken, phoneVerified: true });
+    } else if (user.isBanned()) {
+      return sendAccountBanned(res);
     } else {
       // Existing user - update Firebase UID if not set
       if (!user.firebaseUid) {
@@ -215,7 +401,7 @@ router.post('/firebase-phone', [
     user.lastActive = new Date();
     await user.save();
 
-    const tokens = generateTokens(user._id);
+    const tokens = await generateTokens(user._id, req);
 
     res.json({
       message: isNewUser ? 'Registration successful' : 'Login successful',
@@ -229,6 +415,7 @@ router.post('/firebase-phone', [
         avatar: user.avatar,
         isPremium: user.isPremium
       },
+      connections: invitedConnections.map(c => ({ id: c._id, type: c.type, status: c.status })),
       ...tokens
     });
   } catch (error) {
@@ -237,33 +424,265 @@ router.post('/firebase-phone', [
   }
 });
 
-// Refresh token
-router.post('/refresh-token', [
-  body('refreshToken').exists()
+// Sign in with a Google or Apple ID token
+router.post('/oauth/:provider', rateLimit('oauth', SIGN_IN_LIMIT), [
+  body('idToken').isString().isLength({ min: 1 }),
+  body('name').optional().trim().isLength({ min: 2 }),
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say'])
+], checkLockout('oauth'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider } = req.params;
+    const { idToken, name, gender } = req.body;
+
+    if (!isSupportedProvider(provider)) {
+      return res.status(404).json({ error: 'Unsupported provider' });
+    }
+
+    const verification = await verifyIdToken(provider, idToken);
+    if (!verification.success) {
+      await recordAuthFailure(req, 'oauth');
+      return res.status(401).json({ error: verification.error, code: 'INVALID_ID_TOKEN' });
+    }
+
+    const { profile } = verification;
+
+    let user = await User.findByIdentity(provider, profile.subject);
+    let isNewUser = false;
+
+    if (!user && profile.email) {
+      const emailUser = await User.findOne({ email: profile.email });
+
+      if (emailUser) {
+        // Only link automatically when both sides have proven the address
+        if (!profile.emailVerified || !emailUser.emailVerified) {
+          return res.status(409).json({
+            error: 'An account with this email already exists. Log in and link your account from settings.',
+            code: 'ACCOUNT_EXISTS'
+          });
+        }
+
+        emailUser.identities.push({ provider, subject: profile.subject, email: profile.email });
+        await emailUser.save();
+        user = emailUser;
+      }
+    }
+
+    if (!user) {
+      // Apple only shares the name with the app, so it may come from the client
+      const displayName = name || profile.name;
+      if (!displayName) {
+        return res.json({
+          needsName: true,
+          message: 'Name required for new users'
+        });
+      }
+
+      const defaultStatus = await Status.findOne({ name: 'Available', isDefault: true });
+
+      const userData = {
+        name: displayName,
+        isVerified: true,
+        identities: [{ provider, subject: profile.subject, email: profile.email }],
+        currentStatus: defaultStatus?._id
+      };
+      if (profile.email && profile.emailVerified) {
+        userData.email = profile.email;
+        userData.emailVerified = true;
+      }
+      if (gender) userData.gender = gender;
+
+      user = await User.create(userData);
+      isNewUser = true;
+    }
+
+    if (user.isBanned()) {
+      return sendAccountBanned(res);
+    }
+
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        requiresTwoFactor: true,
+        challengeToken: createChallengeToken(user._id),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    // Update last active
+    user.lastActive = new Date();
+    await user.save();
+
+    const tokens = await generateTokens(user._id, req);
+
+    res.json({
+      message: isNewUser ? 'Registration successful' : 'Login successful',
+      isNewUser,
+      user: {
+        id: user._id,
+        phone: user.phone,
+        email: user.email,
+        name: user.name,
+        gender: user.gender,
+        avatar: user.avatar,
+        isPremium: user.isPremium,
+        isVerified: user.isVerified
+      },
+      ...tokens
+    });
+  } catch (error) {
+    console.error('OAuth login error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+});
+
+// Request SMS one-time password
+router.post('/otp/request', rateLimit('otp-request', MESSAGE_LIMIT), [
+  body('phone').matches(/^\+[1-9]\d{6,14}$/).withMessage('Invalid phone number format')
 ], async (req, res) => {
   try {
-    const { refreshToken } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
 
-    const decoded = jwt.verify(
-      refreshToken,
-      process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET
-    );
+    const { phone } = req.body;
+
+    // Throttle resends per phone
+    const resend = await Otp.checkResendAllowed(phone);
+    if (!resend.allowed) {
+      res.set('Retry-After', String(resend.retryAfter));
+      return res.status(429).json({
+        error: 'Please wait before requesting another code',
+        code: 'OTP_RESEND_THROTTLED',
+        retryAfter: resend.retryAfter
+      });
+    }
+
+    const otpDoc = await Otp.createOTP(phone);
+
+    const smsResult = await sendOtpSms(phone, otpDoc.otp);
+    if (!smsResult.success) {
+      return res.status(502).json({ error: 'Failed to send verification code' });
+    }
+
+    res.json({
+      message: 'Verification code sent',
+      expiresAt: otpDoc.expiresAt
+    });
+  } catch (error) {
+    console.error('OTP request error:', error);
+    res.status(500).json({ error: 'Failed to send verification code' });
+  }
+});
+
+// Verify SMS one-time password and create/log in user
+router.post('/otp/verify', rateLimit('otp-verify', SIGN_IN_LIMIT), [
+  body('phone').matches(/^\+[1-9]\d{6,14}$/).withMessage('Invalid phone number format'),
+  body('otp').matches(/^\d{6}$/).withMessage('Invalid verification code'),
+  body('name').optional().trim().isLength({ min: 2 }),
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say'])
+], checkLockout('otp', req => req.body.phone), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { phone, otp, name, gender } = req.body;
+
+    let user = await User.findOne({ phone });
+
+    // New user - ask for name before consuming the code
+    if (!user && !name) {
+      return res.json({
+        needsName: true,
+        message: 'Name required for new users'
+      });
+    }
+
+    const verification = await Otp.verifyOTP(phone, otp);
+    if (!verification.valid) {
+      await recordAuthFailure(req, 'otp', phone, user);
+      return res.status(401).json({
+        error: verification.message,
+        attemptsLeft: verification.attemptsLeft
+      });
+    }
+
+    await clearFailures('otp', { account: phone });
 
-    if (decoded.type !== 'refresh') {
-      return res.status(401).json({ error: 'Invalid refresh token' });
+    if (user && user.isBanned()) {
+      return sendAccountBanned(res);
     }
 
-    const user = await User.findById(decoded.userId);
+    let isNewUser = false;
+
     if (!user) {
-      return res.status(401).json({ error: 'User not found' });
+      const defaultStatus = await Status.findOne({ name: 'Available', isDefault: true });
+
+      const userData = {
+        phone,
+        name,
+        isVerified: true,
+        currentStatus: defaultStatus?._id
+      };
+      if (gender) userData.gender = gender;
+
+      user = await User.create(userData);
+      isNewUser = true;
     }
 
-    const tokens = generateTokens(user._id);
+    // Update last active
+    user.lastActive = new Date();
+    await user.save();
+
+    const tokens = await generateTokens(user._id, req);
 
     res.json({
-      message: 'Token refreshed',
+      message: isNewUser ? 'Registration successful' : 'Login successful',
+      isNewUser,
+      user: {
+        id: user._id,
+        phone: user.phone,
+        email: user.email,
+        name: user.name,
+        gender: user.gender,
+        avatar: user.avatar,
+        isPremium: user.isPremium
+      },
       ...tokens
     });
+  } catch (error) {
+    console.error('OTP verify error:', error);
+    res.status(500).json({ error: 'Authentication failed' });
+  }
+});
+
+// Refresh token
+// Refresh tokens are single-use: each call rotates the pair, and replaying an old one revokes the session
+router.post('/refresh-token', rateLimit('refresh-token', REFRESH_LIMIT), [
+  body('refreshToken').exists()
+], checkLockout('refresh-token'), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const result = await rotateRefreshToken(refreshToken, getSessionMeta(req));
+    if (result.code === 'ACCOUNT_BANNED') {
+      return sendAccountBanned(res);
+    }
+    if (!result.success) {
+      await recordAuthFailure(req, 'refresh-token');
+      return res.status(401).json({ error: result.error, code: result.code });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      ...result.tokens
+    });
   } catch (error) {
     console.error('Refresh token error:', error);
     res.status(401).json({ error: 'Invalid refresh token' });
@@ -277,7 +696,7 @@ router.get('/me', auth, async (req, res) => {
       .populate('currentStatus')
       .select('-password');
 
-    res.json({ user });
+    res.json({ user, avatarUrls: getAvatarUrls(user.avatarKey) });
   } catch (error) {
     console.error('Get user error:', error);
     res.status(500).json({ error: 'Failed to get user' });
@@ -289,7 +708,12 @@ router.put('/profile', auth, [
   body('name').optional().trim().isLength({ min: 2 }),
   body('avatar').optional().isURL(),
   body('phone').optional().isMobilePhone(),
-  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say'])
+  body('gender').optional().isIn(['male', 'female', 'other', 'prefer_not_to_say']),
+  // timezone, locale and birthday can be cleared with null
+  body('timezone').optional({ nullable: true }).custom(isValidTimeZone).withMessage('Invalid timezone'),
+  body('locale').optional({ nullable: true }).custom(value => normalizeLocale(value) !== null).withMessage('Invalid locale'),
+  body('birthday').optional({ nullable: true }).custom(value => parseBirthday(value) !== null)
+    .withMessage('Birthday must be a past date (YYYY-MM-DD)')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -299,14 +723,23 @@ router.put('/profile', auth, [
 
     const updates = {};
     if (req.body.name) updates.name = req.body.name;
-    if (req.body.avatar) updates.avatar = req.body.avatar;
+    if (req.body.avatar) {
+      updates.avatar = req.body.avatar;
+      updates.avatarKey = null;
+    }
     if (req.body.gender) updates.gender = req.body.gender;
+    if (req.body.timezone !== undefined) updates.timezone = req.body.timezone;
+    if (req.body.locale !== undefined) updates.locale = req.body.locale && normalizeLocale(req.body.locale);
+    if (req.body.birthday !== undefined) updates.birthday = req.body.birthday && parseBirthday(req.body.birthday);
 
     // Only allow setting phone if user doesn't have one
     if (req.body.phone) {
       const currentUser = await User.findById(req.user._id);
       if (currentUser.phone) {
-        return res.status(400).json({ error: 'Phone number cannot be changed once set' });
+        return res.status(400).json({
+          error: 'Phone number cannot be changed here. Use the phone change verification flow.',
+          code: 'PHONE_CHANGE_REQUIRES_VERIFICATION'
+        });
       }
       // Check if phone already exists
       const existingPhone = await User.findOne({ phone: req.body.phone });
@@ -322,6 +755,16 @@ router.put('/profile', auth, [
       { new: true }
     ).select('-password');
 
+    // An external URL replaces any uploaded avatar
+    if (updates.avatar && req.user.avatarKey) {
+      await deleteAvatarFiles(req.user.avatarKey);
+    }
+
+    // Cached cycle days were counted in the old timezone
+    if (updates.timezone !== undefined && updates.timezone !== req.user.timezone) {
+      await CacheService.invalidateCycle(req.user._id.toString());
+    }
+
     res.json({ user });
   } catch (error) {
     console.error('Update profile error:', error);
@@ -329,30 +772,1013 @@ router.put('/profile', auth, [
   }
 });
 
-// Update FCM token
-router.put('/fcm-token', auth, [
-  body('fcmToken').exists()
-], async (req, res) => {
+// Upload an avatar image (multipart field `avatar`)
+// The image is resized to standard thumbnails; `avatar` points at the medium size
+router.post('/avatar', auth, rateLimit('avatar-upload', AVATAR_UPLOAD_LIMIT), avatarUpload, async (req, res) => {
   try {
-    const { fcmToken } = req.body;
+    if (!req.file) {
+      return res.status(400).json({ error: 'No image uploaded' });
+    }
 
-    await User.findByIdAndUpdate(req.user._id, { fcmToken });
+    const result = await storeAvatar(req.user._id, req.file.buffer);
+    if (!result.success) {
+      const status = result.code === 'UNSUPPORTED_IMAGE_TYPE' ? 415 : 400;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
 
-    res.json({ message: 'FCM token updated' });
+    const user = await User.findById(req.user._id);
+    const previousKey = user.avatarKey;
+
+    user.avatar = result.urls.medium;
+    user.avatarKey = result.prefix;
+    await user.save();
+
+    await deleteAvatarFiles(previousKey);
+    await invalidateContactCaches(user);
+
+    res.json({
+      message: 'Avatar updated',
+      avatar: user.avatar,
+      avatarUrls: result.urls
+    });
   } catch (error) {
-    console.error('Update FCM token error:', error);
-    res.status(500).json({ error: 'Failed to update FCM token' });
+    console.error('Avatar upload error:', error);
+    res.status(500).json({ error: 'Failed to upload avatar' });
   }
 });
 
-// Logout (just for clearing FCM token)
-router.post('/logout', auth, async (req, res) => {
+// Remove the avatar
+router.delete('/avatar', auth, async (req, res) => {
   try {
-    await User.findByIdAndUpdate(req.user._id, { fcmToken: null });
-    res.json({ message: 'Logged out successfully' });
+    const user = await User.findById(req.user._id);
+    const previousKey = user.avatarKey;
+
+    user.avatar = null;
+    user.avatarKey = null;
+    await user.save();
+
+    await deleteAvatarFiles(previousKey);
+    await invalidateContactCaches(user);
+
+    res.json({ message: 'Avatar removed' });
   } catch (error) {
-    console.error('Logout error:', error);
-    res.status(500).json({ error: 'Logout failed' });
+    console.error('Avatar delete error:', error);
+    res.status(500).json({ error: 'Failed to remove avatar' });
+  }
+});
+
+const PRIVACY_SETTINGS = [
+  'discoverableByPhone',
+  'discoverableByEmail',
+  'showPhoneToConnections',
+  'showEmailToConnections',
+  'showLastActive',
+  'showOnlineStatus'
+];
+
+// Get privacy settings
+router.get('/privacy', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select('privacy');
+    res.json({ privacy: user.privacy });
+  } catch (error) {
+    console.error('Get privacy settings error:', error);
+    res.status(500).json({ error: 'Failed to get privacy settings' });
+  }
+});
+
+// Update privacy settings (any subset)
+router.put('/privacy', auth, PRIVACY_SETTINGS.map(setting => body(setting).optional().isBoolean().toBoolean()), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    const wasShowingPresence = user.privacy.showOnlineStatus;
+
+    for (const setting of PRIVACY_SETTINGS) {
+      if (req.body[setting] !== undefined) {
+        user.privacy[setting] = req.body[setting];
+      }
+    }
+    await user.save();
+
+    // Search results and connection lists may expose what was just hidden
+    await invalidateContactCaches(user);
+
+    // Connections see the user go offline when hidden, and back online when shown
+    if (user.privacy.showOnlineStatus !== wasShowingPresence) {
+      await publishPresence(user);
+    }
+
+    res.json({ message: 'Privacy settings updated', privacy: user.privacy });
+  } catch (error) {
+    console.error('Update privacy settings error:', error);
+    res.status(500).json({ error: 'Failed to update privacy settings' });
+  }
+});
+
+// Verify email address with token from the verification link
+router.post('/verify-email', rateLimit('verify-email', SIGN_IN_LIMIT), [
+  body('token').isString().isLength({ min: 1 })
+], checkLockout('verify-email'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmailVerificationToken(req.body.token);
+    if (!user) {
+      await recordAuthFailure(req, 'verify-email');
+      return res.status(400).json({ error: 'Invalid or expired verification link', code: 'INVALID_VERIFICATION_TOKEN' });
+    }
+
+    user.isVerified = true;
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save();
+
+    // A listed admin account takes the role as soon as it is verified
+    if (getAdminEmails().includes(user.email)) {
+      await bootstrapAdmins();
+    }
+
+    // Invites sent to this address can be honoured now that it is proven
+    await redeemInvites(user);
+
+    res.json({ message: 'Email verified' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: 'Failed to verify email' });
+  }
+});
+
+// Resend the verification email
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ error: 'Account already verified', code: 'ALREADY_VERIFIED' });
+    }
+
+    if (!user.email) {
+      return res.status(400).json({ error: 'No email address on this account' });
+    }
+
+    if (user.emailVerificationSentAt) {
+      const waitMs = user.emailVerificationSentAt.getTime() + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+      if (waitMs > 0) {
+        const retryAfter = Math.ceil(waitMs / 1000);
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({
+          error: 'Please wait before requesting another email',
+          code: 'VERIFICATION_RESEND_THROTTLED',
+          retryAfter
+        });
+      }
+    }
+
+    const token = user.createEmailVerificationToken();
+    await user.save();
+
+    const mailResult = await sendVerificationEmail(user.email, user.name, token);
+    if (!mailResult.success) {
+      return res.status(502).json({ error: 'Failed to send verification email' });
+    }
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: 'Failed to send verification email' });
+  }
+});
+
+// Link a phone number (verified through Firebase) to the current account
+// If another account owns the number, pass merge: true to merge it into this one
+router.post('/link/phone', auth, rateLimit('link', SIGN_IN_LIMIT), [
+  body('firebaseIdToken').exists().withMessage('Firebase token is required'),
+  body('phone').matches(/^\+[1-9]\d{6,14}$/).withMessage('Invalid phone number format'),
+  body('merge').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { firebaseIdToken, phone, merge } = req.body;
+
+    if (!isFirebaseInitialized()) {
+      return res.status(500).json({ error: 'Firebase not configured on server' });
+    }
+
+    const firebaseResult = await verifyFirebaseIdToken(firebaseIdToken);
+    if (!firebaseResult.success) {
+      return res.status(401).json({ error: 'Invalid Firebase token' });
+    }
+
+    if (firebaseResult.phone !== phone) {
+      return res.status(401).json({ error: 'Phone number mismatch' });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.phone === phone) {
+      return res.status(400).json({ error: 'Phone number already linked' });
+    }
+
+    if (user.phone) {
+      return res.status(400).json({ error: 'This account already has a phone number' });
+    }
+
+    const owner = await User.findOne({ phone });
+
+    if (!owner) {
+      user.phone = phone;
+      if (!user.firebaseUid && !(await User.exists({ firebaseUid: firebaseResult.uid }))) {
+        user.firebaseUid = firebaseResult.uid;
+      }
+      await user.save();
+
+      await AuditLog.record(user._id, 'phone_linked', req);
+      return res.json({ message: 'Phone number linked', merged: false });
+    }
+
+    if (!merge) {
+      return res.status(409).json({
+        error: 'This phone number belongs to another account. Confirm to merge it into this one.',
+        code: 'MERGE_REQUIRED'
+      });
+    }
+
+    const result = await mergeAccounts(user._id, owner._id, req);
+    if (!result.success) {
+      return res.status(409).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ message: 'Accounts merged', merged: true });
+  } catch (error) {
+    console.error('Link phone error:', error);
+    res.status(500).json({ error: 'Failed to link phone number' });
+  }
+});
+
+// Merge an email + password account into the current account
+router.post('/link/email', auth, rateLimit('link', SIGN_IN_LIMIT), [
+  body('email').isEmail().normalizeEmail(),
+  body('password').exists(),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Invalid verification code'),
+  body('merge').optional().isBoolean()
+], checkLockout('login', req => req.body.email), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email, password, code, merge } = req.body;
+
+    const owner = await User.findOne({ email }).select('_id');
+    const ownerWithSecrets = owner ? await User.findWithTwoFactor(owner._id) : null;
+
+    if (!ownerWithSecrets || !ownerWithSecrets.password || !(await ownerWithSecrets.comparePassword(password))) {
+      await recordAuthFailure(req, 'login', email, ownerWithSecrets);
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+
+    if (ownerWithSecrets._id.equals(req.user._id)) {
+      return res.status(400).json({ error: 'This email already belongs to your account' });
+    }
+
+    // The other account's second factor is needed too
+    if (ownerWithSecrets.twoFactor.enabled) {
+      const secondFactor = code ? verifySecondFactor(ownerWithSecrets, { code }) : { valid: false };
+      if (!secondFactor.valid) {
+        return res.status(401).json({ error: 'Verification code required for this account', code: 'INVALID_2FA_CODE' });
+      }
+      await ownerWithSecrets.save();
+    }
+
+    if (!merge) {
+      return res.status(409).json({
+        error: 'This email belongs to another account. Confirm to merge it into this one.',
+        code: 'MERGE_REQUIRED'
+      });
+    }
+
+    const result = await mergeAccounts(req.user._id, ownerWithSecrets._id, req);
+    if (!result.success) {
+      return res.status(409).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ message: 'Accounts merged', merged: true });
+  } catch (error) {
+    console.error('Link email error:', error);
+    res.status(500).json({ error: 'Failed to link email account' });
+  }
+});
+
+// Link a Google or Apple account to the current account
+router.post('/link/:provider', auth, rateLimit('link', SIGN_IN_LIMIT), [
+  body('idToken').isString().isLength({ min: 1 }),
+  body('merge').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider } = req.params;
+    const { idToken, merge } = req.body;
+
+    if (!isSupportedProvider(provider)) {
+      return res.status(404).json({ error: 'Unsupported provider' });
+    }
+
+    const verification = await verifyIdToken(provider, idToken);
+    if (!verification.success) {
+      return res.status(401).json({ error: verification.error, code: 'INVALID_ID_TOKEN' });
+    }
+
+    const { profile } = verification;
+    const user = await User.findById(req.user._id);
+    const owner = await User.findByIdentity(provider, profile.subject);
+
+    if (owner && owner._id.equals(user._id)) {
+      return res.json({ message: 'Account already linked', merged: false });
+    }
+
+    if (owner) {
+      if (!merge) {
+        return res.status(409).json({
+          error: 'This account is linked to another user. Confirm to merge it into this one.',
+          code: 'MERGE_REQUIRED'
+        });
+      }
+
+      const result = await mergeAccounts(user._id, owner._id, req);
+      if (!result.success) {
+        return res.status(409).json({ error: result.error, code: result.code });
+      }
+
+      return res.json({ message: 'Accounts merged', merged: true });
+    }
+
+    if (user.identities.some(i => i.provider === provider)) {
+      return res.status(400).json({ error: `A different ${provider} account is already linked` });
+    }
+
+    user.identities.push({ provider, subject: profile.subject, email: profile.email });
+    await user.save();
+
+    await AuditLog.record(user._id, 'identity_linked', req, { provider });
+
+    res.json({ message: 'Account linked', merged: false });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'This account is linked to another user', code: 'MERGE_REQUIRED' });
+    }
+    console.error('Link account error:', error);
+    res.status(500).json({ error: 'Failed to link account' });
+  }
+});
+
+// Unlink a Google or Apple account
+router.delete('/link/:provider', auth, async (req, res) => {
+  try {
+    const { provider } = req.params;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.identities.some(i => i.provider === provider)) {
+      return res.status(404).json({ error: 'No linked account for this provider' });
+    }
+
+    if (!user.hasOtherLoginMethod(provider)) {
+      return res.status(400).json({
+        error: 'Add another way to sign in before unlinking this account',
+        code: 'LAST_LOGIN_METHOD'
+      });
+    }
+
+    user.identities = user.identities.filter(i => i.provider !== provider);
+    await user.save();
+
+    await AuditLog.record(user._id, 'identity_unlinked', req, { provider });
+
+    res.json({ message: 'Account unlinked' });
+  } catch (error) {
+    console.error('Unlink account error:', error);
+    res.status(500).json({ error: 'Failed to unlink account' });
+  }
+});
+
+// Start a phone number change
+// Sends a code to the new number (unless it will be verified through Firebase),
+// and to the current number when the account has no password to confirm with
+router.post('/phone/change/request', auth, rateLimit('phone-change-request', MESSAGE_LIMIT), [
+  body('newPhone').matches(/^\+[1-9]\d{6,14}$/).withMessage('Invalid phone number format'),
+  body('method').optional().isIn(['otp', 'firebase']),
+  body('confirmWithOldPhone').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { newPhone, method = 'otp', confirmWithOldPhone } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.phone === newPhone) {
+      return res.status(400).json({ error: 'This is already your phone number' });
+    }
+
+    if (await User.exists({ phone: newPhone })) {
+      return res.status(409).json({ error: 'Phone number already registered', code: 'PHONE_TAKEN' });
+    }
+
+    const sendToOldPhone = !!user.phone && (!user.password || confirmWithOldPhone === true);
+    const recipients = [];
+    if (method === 'otp') recipients.push({ phone: newPhone, purpose: 'phone_change' });
+    if (sendToOldPhone) recipients.push({ phone: user.phone, purpose: 'phone_change_old' });
+
+    for (const { phone } of recipients) {
+      const resend = await Otp.checkResendAllowed(phone);
+      if (!resend.allowed) {
+        res.set('Retry-After', String(resend.retryAfter));
+        return res.status(429).json({
+          error: 'Please wait before requesting another code',
+          code: 'OTP_RESEND_THROTTLED',
+          retryAfter: resend.retryAfter
+        });
+      }
+    }
+
+    for (const { phone, purpose } of recipients) {
+      const otpDoc = await Otp.createOTP(phone, purpose);
+      const smsResult = await sendOtpSms(phone, otpDoc.otp);
+      if (!smsResult.success) {
+        return res.status(502).json({ error: 'Failed to send verification code' });
+      }
+    }
+
+    res.json({
+      message: 'Verification code sent',
+      newPhoneCodeSent: method === 'otp',
+      oldPhoneCodeSent: sendToOldPhone
+    });
+  } catch (error) {
+    console.error('Phone change request error:', error);
+    res.status(500).json({ error: 'Failed to start phone number change' });
+  }
+});
+
+// Finish a phone number change
+// The new number is proven with an OTP or a Firebase ID token; the change is
+// confirmed with the password or a code sent to the current number
+router.post('/phone/change/confirm', auth, rateLimit('phone-change', SIGN_IN_LIMIT), [
+  body('newPhone').matches(/^\+[1-9]\d{6,14}$/).withMessage('Invalid phone number format'),
+  body('otp').optional().matches(/^\d{6}$/).withMessage('Invalid verification code'),
+  body('firebaseIdToken').optional().isString(),
+  body('password').optional().isString(),
+  body('oldPhoneOtp').optional().matches(/^\d{6}$/).withMessage('Invalid verification code')
+], checkLockout('phone-change', req => req.user._id.toString()), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: errors.array()[0].msg });
+    }
+
+    const { newPhone, otp, firebaseIdToken, password, oldPhoneOtp } = req.body;
+    const userId = req.user._id.toString();
+
+    if (!otp && !firebaseIdToken) {
+      return res.status(400).json({ error: 'Verification code or Firebase token required for the new number' });
+    }
+
+    const user = await User.findById(userId).select('+password');
+    const oldPhone = user.phone;
+
+    // Confirm it's the account owner asking
+    if (password) {
+      if (!user.password || !(await user.comparePassword(password))) {
+        await recordAuthFailure(req, 'phone-change', userId, user);
+        return res.status(401).json({ error: 'Password is incorrect' });
+      }
+    } else if (!oldPhoneOtp && (user.password || oldPhone)) {
+      return res.status(400).json({
+        error: 'Confirm with your password or the code sent to your current number',
+        code: 'CONFIRMATION_REQUIRED'
+      });
+    }
+
+    // Prove the new number
+    let firebaseUid = null;
+    if (firebaseIdToken) {
+      if (!isFirebaseInitialized()) {
+        return res.status(500).json({ error: 'Firebase not configured on server' });
+      }
+
+      const firebaseResult = await verifyFirebaseIdToken(firebaseIdToken);
+      if (!firebaseResult.success || firebaseResult.phone !== newPhone) {
+        await recordAuthFailure(req, 'phone-change', userId, user);
+        return res.status(401).json({ error: 'Invalid Firebase token' });
+      }
+      firebaseUid = firebaseResult.uid;
+    } else {
+      const verification = await Otp.verifyOTP(newPhone, otp, 'phone_change');
+      if (!verification.valid) {
+        await recordAuthFailure(req, 'phone-change', userId, user);
+        return res.status(401).json({
+          error: verification.message,
+          attemptsLeft: verification.attemptsLeft
+        });
+      }
+    }
+
+    if (!password && oldPhoneOtp) {
+      const verification = oldPhone
+        ? await Otp.verifyOTP(oldPhone, oldPhoneOtp, 'phone_change_old')
+        : { valid: false, message: 'No current phone number to confirm with' };
+      if (!verification.valid) {
+        await recordAuthFailure(req, 'phone-change', userId, user);
+        return res.status(401).json({
+          error: verification.message,
+          attemptsLeft: verification.attemptsLeft
+        });
+      }
+    }
+
+    await clearFailures('phone-change', { account: userId });
+
+    if (await User.exists({ phone: newPhone, _id: { $ne: user._id } })) {
+      return res.status(409).json({ error: 'Phone number already registered', code: 'PHONE_TAKEN' });
+    }
+
+    // The Firebase account belongs to the number, so the old UID goes with the old number
+    if (firebaseUid && !(await User.exists({ firebaseUid, _id: { $ne: user._id } }))) {
+      user.firebaseUid = firebaseUid;
+    } else {
+      user.firebaseUid = undefined;
+    }
+    user.phone = newPhone;
+    await user.save();
+
+    await invalidateContactCaches(user);
+
+    if (oldPhone) {
+      await sendPhoneChangedSms(oldPhone);
+    }
+
+    await AuditLog.record(user._id, 'phone_changed', req, { method: firebaseIdToken ? 'firebase' : 'otp' });
+
+    res.json({ message: 'Phone number changed', phone: user.phone });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Phone number already registered', code: 'PHONE_TAKEN' });
+    }
+    console.error('Phone change confirm error:', error);
+    res.status(500).json({ error: 'Failed to change phone number' });
+  }
+});
+
+// Start an email change - a confirmation link goes to the new address
+router.post('/email/change/request', auth, rateLimit('email-change-request', MESSAGE_LIMIT), [
+  body('newEmail').isEmail().normalizeEmail(),
+  body('password').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { newEmail, password } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (user.password && !(await user.comparePassword(password || ''))) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    if (user.email === newEmail) {
+      return res.status(400).json({ error: 'This is already your email address' });
+    }
+
+    if (await User.exists({ email: newEmail })) {
+      return res.status(409).json({ error: 'Email already registered', code: 'EMAIL_TAKEN' });
+    }
+
+    const token = user.createEmailChangeToken(newEmail);
+    await user.save();
+
+    const mailResult = await sendEmailChangeConfirmation(newEmail, user.name, token);
+    if (!mailResult.success) {
+      return res.status(502).json({ error: 'Failed to send confirmation email' });
+    }
+
+    res.json({ message: 'Confirmation sent to your new email address', pendingEmail: newEmail });
+  } catch (error) {
+    console.error('Email change request error:', error);
+    res.status(500).json({ error: 'Failed to start email change' });
+  }
+});
+
+// Confirm an email change with the token sent to the new address
+router.post('/email/change/confirm', rateLimit('email-change', SIGN_IN_LIMIT), [
+  body('token').isString().isLength({ min: 1 })
+], checkLockout('email-change'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmailChangeToken(req.body.token);
+    if (!user || !user.pendingEmail) {
+      await recordAuthFailure(req, 'email-change');
+      return res.status(400).json({ error: 'Invalid or expired confirmation link', code: 'INVALID_EMAIL_CHANGE_TOKEN' });
+    }
+
+    const newEmail = user.pendingEmail;
+    const oldEmail = user.email;
+
+    if (await User.exists({ email: newEmail, _id: { $ne: user._id } })) {
+      return res.status(409).json({ error: 'Email already registered', code: 'EMAIL_TAKEN' });
+    }
+
+    user.email = newEmail;
+    user.isVerified = true;
+    user.emailVerified = true;
+    user.pendingEmail = null;
+    user.emailChangeToken = undefined;
+    user.emailChangeExpires = undefined;
+    // Links mailed to the old address must stop working
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+
+    const undoToken = oldEmail ? user.createEmailChangeUndoToken(oldEmail) : null;
+    await user.save();
+
+    await invalidateContactCaches(user);
+
+    if (oldEmail) {
+      await sendEmailChangedNotice(oldEmail, user.name, newEmail, undoToken);
+    }
+
+    await AuditLog.record(user._id, 'email_changed', req, { from: oldEmail, to: newEmail });
+
+    res.json({ message: 'Email address changed', email: newEmail });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Email already registered', code: 'EMAIL_TAKEN' });
+    }
+    console.error('Email change confirm error:', error);
+    res.status(500).json({ error: 'Failed to change email' });
+  }
+});
+
+// Undo an email change from the link sent to the previous address
+// Restores the address, signs out every device and sends a password reset link
+router.post('/email/change/undo', rateLimit('email-change', SIGN_IN_LIMIT), [
+  body('token').isString().isLength({ min: 1 })
+], checkLockout('email-change'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findByEmailChangeUndoToken(req.body.token);
+    if (!user || !user.previousEmail) {
+      await recordAuthFailure(req, 'email-change');
+      return res.status(400).json({ error: 'Invalid or expired undo link', code: 'INVALID_EMAIL_CHANGE_TOKEN' });
+    }
+
+    const restoredEmail = user.previousEmail;
+    const replacedEmail = user.email;
+
+    if (await User.exists({ email: restoredEmail, _id: { $ne: user._id } })) {
+      return res.status(409).json({ error: 'Email already registered', code: 'EMAIL_TAKEN' });
+    }
+
+    // Opening the undo link mailed there proves the old address again
+    user.email = restoredEmail;
+    user.emailVerified = true;
+    user.pendingEmail = null;
+    user.previousEmail = undefined;
+    user.emailChangeUndoToken = undefined;
+    user.emailChangeUndoExpires = undefined;
+
+    const resetToken = user.password ? user.createPasswordResetToken() : null;
+    await user.save();
+
+    await revokeAllSessions(user._id, 'email_change_undone');
+    await revokeAllAccessTokens(user._id);
+    await invalidateContactCaches(user);
+
+    if (resetToken) {
+      await sendPasswordResetEmail(restoredEmail, user.name, resetToken);
+    }
+
+    await AuditLog.record(user._id, 'email_change_undone', req, { restored: restoredEmail, replaced: replacedEmail });
+
+    res.json({
+      message: resetToken
+        ? 'Email address restored. Check your inbox to choose a new password.'
+        : 'Email address restored'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Email already registered', code: 'EMAIL_TAKEN' });
+    }
+    console.error('Email change undo error:', error);
+    res.status(500).json({ error: 'Failed to undo email change' });
+  }
+});
+
+// Request password reset email
+router.post('/forgot-password', rateLimit('forgot-password', MESSAGE_LIMIT), [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { email } = req.body;
+
+    const user = await User.findOne({ email });
+
+    // Same response whether or not the account exists, so emails can't be probed
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save();
+      await sendPasswordResetEmail(user.email, user.name, token);
+    }
+
+    res.json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: 'Failed to send reset email' });
+  }
+});
+
+// Reset password with token from email
+router.post('/reset-password', rateLimit('reset-password', SIGN_IN_LIMIT), [
+  body('token').isString().isLength({ min: 1 }),
+  body('password').isLength({ min: 6 })
+], checkLockout('reset-password'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { token, password } = req.body;
+
+    const user = await User.findByPasswordResetToken(token);
+    if (!user) {
+      await recordAuthFailure(req, 'reset-password');
+      return res.status(400).json({ error: 'Invalid or expired reset token', code: 'INVALID_RESET_TOKEN' });
+    }
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Sign out every device and integration that used the old credentials
+    await revokeAllSessions(user._id, 'password_reset');
+    await revokeAllAccessTokens(user._id);
+    await sendPasswordChangedEmail(user.email, user.name);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password' });
+  }
+});
+
+// Change password (logged in)
+router.put('/change-password', auth, [
+  body('currentPassword').exists(),
+  body('newPassword').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user._id).select('+password');
+
+    if (!user.password) {
+      return res.status(400).json({ error: 'This account has no password. Please login with your phone number' });
+    }
+
+    const isMatch = await user.comparePassword(currentPassword);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out every other device; this session proved the current password.
+    // Personal access tokens go too, as they may have been made with the old password.
+    const revokedCount = await revokeAllSessions(user._id, 'password_change', req.session._id);
+    const revokedTokens = await revokeAllAccessTokens(user._id);
+
+    if (user.email) {
+      await sendPasswordChangedEmail(user.email, user.name);
+    }
+
+    res.json({
+      message: 'Password changed',
+      revokedSessions: revokedCount,
+      revokedAccessTokens: revokedTokens
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password' });
+  }
+});
+
+// Update FCM token
+// Kept for older clients; registers the push token for the current device
+router.put('/fcm-token', auth, [
+  body('fcmToken').exists(),
+  body('deviceId').optional().trim().isLength({ min: 1, max: 200 }),
+  body('platform').optional().isIn(['ios', 'android', 'web']),
+  body('appVersion').optional().trim().isLength({ max: 50 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fcmToken, platform, appVersion } = req.body;
+    const deviceId = req.body.deviceId || req.session.deviceId || req.session._id.toString();
+
+    await User.registerDevice(req.user._id, { deviceId, platform, appVersion, fcmToken });
+    await bindSessionDevice(req.session, deviceId);
+
+    res.json({ message: 'FCM token updated' });
+  } catch (error) {
+    console.error('Update FCM token error:', error);
+    res.status(500).json({ error: 'Failed to update FCM token' });
+  }
+});
+
+// Logout - revokes the current session and unregisters its device from push
+router.post('/logout', auth, async (req, res) => {
+  try {
+    await revokeSession(req.session._id, 'logout');
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: 'Logout failed' });
+  }
+});
+
+// List active sessions (where the user is logged in)
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.getActiveSessions(req.user._id);
+
+    res.json({
+      sessions: sessions.map(s => ({
+        id: s._id,
+        deviceName: s.deviceName,
+        deviceId: s.deviceId,
+        ip: s.ip,
+        userAgent: s.userAgent,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        isCurrent: s._id.toString() === req.session._id.toString()
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ error: 'Failed to get sessions' });
+  }
+});
+
+// Sign out everywhere (optionally keeping the current session)
+router.delete('/sessions', auth, async (req, res) => {
+  try {
+    const exceptCurrent = req.query.exceptCurrent === 'true';
+
+    const revokedCount = await revokeAllSessions(
+      req.user._id,
+      'logout_all',
+      exceptCurrent ? req.session._id : null
+    );
+
+    res.json({
+      message: exceptCurrent ? 'Signed out of all other sessions' : 'Signed out everywhere',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ error: 'Failed to sign out everywhere' });
+  }
+});
+
+// Revoke a specific session (e.g. a lost phone)
+router.delete('/sessions/:sessionId', auth, async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.isValidObjectId(sessionId)) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+
+    res.json({ message: 'Session revoked' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ error: 'Failed to revoke session' });
+  }
+});
+
+// Delete account
+// Requires the password, or for accounts without one a fresh Google/Apple ID token
+// (provider + idToken) or an SMS code. With a grace period configured the account
+// is only scheduled for deletion and can be restored.
+router.delete('/account', auth, rateLimit('account-deletion', SIGN_IN_LIMIT), [
+  body('password').optional().isString(),
+  body('otp').optional().matches(/^\d{6}$/).withMessage('Invalid verification code'),
+  body('provider').optional().isString(),
+  body('idToken').optional().isString()
+], checkLockout('account-deletion', req => req.user._id.toString()), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, otp, provider, idToken } = req.body;
+
+    const confirmation = await confirmAccountDeletion(req.user._id, { password, otp, provider, idToken });
+    if (!confirmation.valid) {
+      await recordAuthFailure(req, 'account-deletion', req.user._id.toString(), req.user);
+      return res.status(401).json({ error: confirmation.message, code: 'DELETION_NOT_CONFIRMED' });
+    }
+
+    const result = await requestAccountDeletion(req.user._id);
+
+    if (result.deleted) {
+      return res.json({ message: 'Account deleted', deleted: true });
+    }
+
+    res.json({
+      message: 'Account scheduled for deletion',
+      deleted: false,
+      scheduledFor: result.scheduledFor
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
+// Cancel a scheduled account deletion
+router.post('/account/restore', auth, async (req, res) => {
+  try {
+    const cancelled = await cancelAccountDeletion(req.user._id);
+
+    if (!cancelled) {
+      return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+    }
+
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ error: 'Failed to cancel account deletion' });
   }
 });
 
@@ -0,0 +1,77 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Block = require('../models/Block');
+const { auth } = require('../middleware/auth');
+const { blockUser, unblockUser } = require('../services/blocking');
+
+const router = express.Router();
+
+// List users I have blocked
+router.get('/', auth, async (req, res) => {
+  try {
+    const blocks = await Block.find({ blockerId: req.user._id })
+      .populate('blockedId', 'name avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      blocks: blocks
+        .filter(b => b.blockedId)
+        .map(b => ({
+          user: {
+            id: b.blockedId._id,
+            name: b.blockedId.name,
+            avatar: b.blockedId.avatar
+          },
+          blockedAt: b.createdAt
+        }))
+    });
+  } catch (error) {
+    console.error('Get blocks error:', error);
+    res.status(500).json({ error: 'Failed to get blocked users' });
+  }
+});
+
+// Block a user, connected or not
+router.post('/', auth, [
+  body('userId').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await blockUser(req.user._id, req.body.userId);
+    if (!result.success) {
+      const status = result.code ? 400 : 404;
+      return res.status(status).json({ error: result.error, code: result.code });
+    }
+
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    console.error('Block user error:', error);
+    res.status(500).json({ error: 'Failed to block user' });
+  }
+});
+
+// Unblock a user
+router.delete('/:userId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+
+    const removed = await unblockUser(req.user._id, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({ error: 'Block not found' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Unblock user error:', error);
+    res.status(500).json({ error: 'Failed to unblock user' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,18 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
 const Connection = require('../models/Connection');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const { auth } = require('../middleware/auth');
 const { sendToUser } = require('../config/socket');
-const { sendPushNotification } = require('../services/push');
+const { sendPushToUser } = require('../services/push');
 const { cacheConnections } = require('../middleware/cache');
 const { CacheService } = require('../services/cache');
+const { getPresence } = require('../services/presence');
+const { blockUser } = require('../services/blocking');
+const { checkSendLimits, recordSentRequest } = require('../services/connectionRequests');
+const { sendTooManyRequests } = require('../middleware/rateLimit');
 
 const router = express.Router();
 
@@ -20,7 +26,7 @@ router.get('/', auth, cacheConnections, async (req, res) => {
       ]
     }).populate({
       path: 'userId connectedUserId',
-      select: 'name avatar phone email gender currentStatus lastActive',
+      select: 'name avatar phone email gender currentStatus lastActive privacy',
       populate: {
         path: 'currentStatus',
         select: 'name emoji'
@@ -31,6 +37,7 @@ router.get('/', auth, cacheConnections, async (req, res) => {
     const formattedConnections = connections.map(conn => {
       const isInitiator = conn.userId._id.toString() === req.user._id.toString();
       const otherUser = isInitiator ? conn.connectedUserId : conn.userId;
+      const shared = otherUser.getSharedDetails();
 
       return {
         id: conn._id,
@@ -41,10 +48,11 @@ router.get('/', auth, cacheConnections, async (req, res) => {
           id: otherUser._id,
           name: otherUser.name,
           avatar: otherUser.avatar,
-          phone: otherUser.phone,
-          email: otherUser.email,
+          phone: shared.phone,
+          email: shared.email,
           gender: otherUser.gender,
-          lastActive: otherUser.lastActive,
+          lastActive: shared.lastActive,
+          isOnline: getPresence(otherUser).isOnline,
           status: otherUser.currentStatus ? {
             id: otherUser.currentStatus._id,
             name: otherUser.currentStatus.name,
@@ -68,7 +76,7 @@ router.get('/pending', auth, async (req, res) => {
     const requests = await Connection.find({
       connectedUserId: req.user._id,
       status: 'pending'
-    }).populate('userId', 'name avatar phone email');
+    }).populate('userId', 'name avatar phone email privacy');
 
     const formattedRequests = requests.map(req => ({
       id: req._id,
@@ -77,7 +85,7 @@ router.get('/pending', auth, async (req, res) => {
         id: req.userId._id,
         name: req.userId.name,
         avatar: req.userId.avatar,
-        phone: req.userId.phone
+        phone: req.userId.getSharedDetails().phone
       },
       createdAt: req.createdAt
     }));
@@ -89,6 +97,34 @@ router.get('/pending', auth, async (req, res) => {
   }
 });
 
+// Get connection requests I sent that are still waiting
+router.get('/sent', auth, async (req, res) => {
+  try {
+    const requests = await Connection.find({
+      userId: req.user._id,
+      status: 'pending'
+    })
+      .sort({ createdAt: -1 })
+      .populate('connectedUserId', 'name avatar');
+
+    const formattedRequests = requests.map(request => ({
+      id: request._id,
+      type: request.type,
+      user: {
+        id: request.connectedUserId._id,
+        name: request.connectedUserId.name,
+        avatar: request.connectedUserId.avatar
+      },
+      createdAt: request.createdAt
+    }));
+
+    res.json({ requests: formattedRequests });
+  } catch (error) {
+    console.error('Get sent requests error:', error);
+    res.status(500).json({ error: 'Failed to get sent requests' });
+  }
+});
+
 // Send connection request
 router.post('/request', auth, [
   body('userId').isMongoId(),
@@ -107,12 +143,16 @@ router.post('/request', auth, [
       return res.status(400).json({ error: 'Cannot connect with yourself' });
     }
 
-    // Check if user exists
+    // Check if user exists (unverified accounts can't receive requests)
     const targetUser = await User.findById(userId);
-    if (!targetUser) {
+    if (!targetUser || !targetUser.isVerified) {
       return res.status(404).json({ error: 'User not found' });
     }
 
+    if (await Block.isBlockedBetween(req.user._id, userId)) {
+      return res.status(400).json({ error: 'Cannot connect with this user' });
+    }
+
     // Check for existing connection
     const existingConnection = await Connection.findOne({
       $or: [
@@ -123,14 +163,22 @@ router.post('/request', auth, [
 
     if (existingConnection) {
       if (existingConnection.status === 'accepted') {
-        return res.status(400).json({ error: 'Already connected' });
+        return res.status(400).json({ error: 'Already connected', code: 'ALREADY_CONNECTED' });
       }
       if (existingConnection.status === 'pending') {
-        return res.status(400).json({ error: 'Request already pending' });
+        return res.status(400).json({ error: 'Request already pending', code: 'REQUEST_ALREADY_PENDING' });
       }
       if (existingConnection.status === 'blocked') {
         return res.status(400).json({ error: 'Cannot connect with this user' });
       }
+
+      const cooldownEnd = existingConnection.getRequestCooldownEnd(req.user._id);
+      if (cooldownEnd) {
+        return sendTooManyRequests(res, {
+          retryAfter: Math.ceil((cooldownEnd - Date.now()) / 1000),
+          code: 'REQUEST_COOLDOWN'
+        });
+      }
     }
 
     // If requesting partner, check if either user already has a partner
@@ -146,6 +194,17 @@ router.post('/request', auth, [
       }
     }
 
+    // Daily limit per sender, tighter for users others have reported
+    const limits = await checkSendLimits(req.user._id);
+    if (!limits.allowed) {
+      return sendTooManyRequests(res, limits);
+    }
+
+    // A rejected or expired request makes way for the new one
+    if (existingConnection) {
+      await Connection.deleteOne({ _id: existingConnection._id });
+    }
+
     // Create connection request
     const connection = await Connection.create({
       userId: req.user._id,
@@ -154,6 +213,7 @@ router.post('/request', auth, [
       status: 'pending',
       initiatedBy: req.user._id
     });
+    await recordSentRequest(req.user._id, limits);
 
     // Notify target user via Socket.IO
     sendToUser(userId, 'connection:request', {
@@ -167,14 +227,12 @@ router.post('/request', auth, [
     });
 
     // Send push notification
-    if (targetUser.fcmToken) {
-      await sendPushNotification(
-        targetUser.fcmToken,
-        'New Connection Request',
-        `${req.user.name} wants to connect as your ${type === 'partner' ? 'partner' : 'close friend'}`,
-        { type: 'connection_request', connectionId: connection._id.toString() }
-      );
-    }
+    await sendPushToUser(
+      targetUser,
+      'New Connection Request',
+      `${req.user.name} wants to connect as your ${type === 'partner' ? 'partner' : 'close friend'}`,
+      { type: 'connection_request', connectionId: connection._id.toString() }
+    );
 
     res.status(201).json({
       message: 'Connection request sent',
@@ -190,6 +248,37 @@ router.post('/request', auth, [
   }
 });
 
+// Withdraw a connection request I sent
+router.delete('/request/:connectionId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.connectionId)) {
+      return res.status(404).json({ error: 'Connection request not found' });
+    }
+
+    const connection = await Connection.findOneAndDelete({
+      _id: req.params.connectionId,
+      userId: req.user._id,
+      status: 'pending'
+    });
+
+    if (!connection) {
+      return res.status(404).json({ error: 'Connection request not found' });
+    }
+
+    await CacheService.invalidateConnectionPair(req.user._id.toString(), connection.connectedUserId.toString());
+
+    // Drop it from the recipient's pending list
+    sendToUser(connection.connectedUserId.toString(), 'connection:request_cancelled', {
+      id: connection._id
+    });
+
+    res.json({ message: 'Connection request cancelled' });
+  } catch (error) {
+    console.error('Cancel connection request error:', error);
+    res.status(500).json({ error: 'Failed to cancel connection request' });
+  }
+});
+
 // Accept connection request
 router.put('/:connectionId/accept', auth, async (req, res) => {
   try {
@@ -202,6 +291,9 @@ router.put('/:connectionId/accept', auth, async (req, res) => {
     });
 
     if (!connection) {
+      if (await Connection.isExpiredRequest(connectionId, req.user._id)) {
+        return res.status(410).json({ error: 'This connection request has expired', code: 'REQUEST_EXPIRED' });
+      }
       return res.status(404).json({ error: 'Connection request not found' });
     }
 
@@ -233,9 +325,9 @@ router.put('/:connectionId/accept', auth, async (req, res) => {
     });
 
     // Send push notification
-    if (requester.fcmToken) {
-      await sendPushNotification(
-        requester.fcmToken,
+    if (requester) {
+      await sendPushToUser(
+        requester,
         'Connection Accepted',
         `${req.user.name} accepted your connection request!`,
         { type: 'connection_accepted', connectionId: connection._id.toString() }
@@ -268,10 +360,14 @@ router.put('/:connectionId/reject', auth, async (req, res) => {
     });
 
     if (!connection) {
+      if (await Connection.isExpiredRequest(connectionId, req.user._id)) {
+        return res.status(410).json({ error: 'This connection request has expired', code: 'REQUEST_EXPIRED' });
+      }
       return res.status(404).json({ error: 'Connection request not found' });
     }
 
     connection.status = 'rejected';
+    connection.rejectedAt = new Date();
     await connection.save();
 
     // Invalidate cache for both users
@@ -331,12 +427,14 @@ router.delete('/:connectionId', auth, async (req, res) => {
   try {
     const { connectionId } = req.params;
 
+    // Connections blocked before the block list existed still act as blocks, so they stay
     const connection = await Connection.findOneAndDelete({
       _id: connectionId,
       $or: [
         { userId: req.user._id },
         { connectedUserId: req.user._id }
-      ]
+      ],
+      status: { $ne: 'blocked' }
     });
 
     if (!connection) {
@@ -365,7 +463,7 @@ router.delete('/:connectionId', auth, async (req, res) => {
   }
 });
 
-// Block user
+// Block the other user of a connection (same as POST /api/blocks)
 router.put('/:connectionId/block', auth, async (req, res) => {
   try {
     const { connectionId } = req.params;
@@ -382,14 +480,13 @@ router.put('/:connectionId/block', auth, async (req, res) => {
       return res.status(404).json({ error: 'Connection not found' });
     }
 
-    connection.status = 'blocked';
-    await connection.save();
-
-    // Invalidate cache for both users
-    const otherUserIdBlock = connection.userId.toString() === req.user._id.toString()
-      ? connection.connectedUserId.toString()
-      : connection.userId.toString();
-    await CacheService.invalidateConnectionPair(req.user._id.toString(), otherUserIdBlock);
+    const otherUserId = connection.userId.toString() === req.user._id.toString()
+      ? connection.connectedUserId
+      : connection.userId;
+    const result = await blockUser(req.user._id, otherUserId);
+    if (!result.success) {
+      return res.status(404).json({ error: result.error });
+    }
 
     res.json({ message: 'User blocked' });
   } catch (error) {
@@ -7,9 +7,10 @@ const Connection = require('../models/Connection');
 const Notification = require('../models/Notification');
 const { auth } = require('../middleware/auth');
 const { sendToUser } = require('../config/socket');
-const { sendPushNotification } = require('../services/push');
+const { sendPushToUser } = require('../services/push');
 const { cacheCycle } = require('../middleware/cache');
 const { CacheService } = require('../services/cache');
+const { getDateKey, daysBetween, parseCalendarDate, formatDate } = require('../services/calendar');
 
 const router = express.Router();
 
@@ -29,8 +30,9 @@ router.get('/', auth, cacheCycle, async (req, res) => {
       });
     }
 
-    const currentPhase = cycle.getCurrentPhase();
-    const lastPeriod = cycle.getLastPeriod();
+    const timeZone = req.user.timezone;
+    const currentPhase = cycle.getCurrentPhase(timeZone);
+    const lastPeriod = cycle.getLastPeriod(timeZone);
     const nextPeriod = cycle.getNextPeriod();
     const fertileWindow = cycle.getFertileWindow();
 
@@ -51,7 +53,7 @@ router.get('/', auth, cacheCycle, async (req, res) => {
         ongoingPeriod: hasOngoingPeriod ? {
           startDate: latestPeriod.startDate,
           flow: latestPeriod.flow,
-          dayCount: Math.ceil((new Date() - latestPeriod.startDate) / (1000 * 60 * 60 * 24)) + 1
+          dayCount: daysBetween(latestPeriod.startDate, new Date(), timeZone) + 1
         } : null,
         fertileWindow,
         recentPeriods: cycle.periods.slice(-6).reverse(),
@@ -79,7 +81,8 @@ router.post('/period/start', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const startDate = req.body.date ? new Date(req.body.date) : new Date();
+    const timeZone = req.user.timezone;
+    const startDate = req.body.date ? parseCalendarDate(req.body.date, timeZone) : new Date();
     const flow = req.body.flow || 'medium';
 
     let cycle = await Cycle.findOne({ userId: req.user._id });
@@ -108,14 +111,10 @@ router.post('/period/start', auth, [
       }
     }
 
-    // Check if period came early (before expected)
+    // Check if period came early (before the expected day on the user's calendar)
     let cameEarly = false;
     if (cycle.expectedNextPeriod && cycle.expectedNextPeriod.isManuallySet && cycle.expectedNextPeriod.startDate) {
-      const expectedStart = new Date(cycle.expectedNextPeriod.startDate);
-      expectedStart.setHours(0, 0, 0, 0);
-      const actualStart = new Date(startDate);
-      actualStart.setHours(0, 0, 0, 0);
-      cameEarly = actualStart < expectedStart;
+      cameEarly = getDateKey(startDate, timeZone) < getDateKey(cycle.expectedNextPeriod.startDate, timeZone);
     }
 
     // Add new period
@@ -142,7 +141,7 @@ router.post('/period/start', auth, [
     // Notify users who can see cycle
     await notifyCycleUpdate(req.user._id, cycle, cameEarly ? 'period_started_early' : 'period_started');
 
-    const currentPhase = cycle.getCurrentPhase();
+    const currentPhase = cycle.getCurrentPhase(timeZone);
     const nextPeriod = cycle.getNextPeriod();
 
     res.json({
@@ -163,7 +162,7 @@ router.post('/period/end', auth, [
   body('date').optional().isISO8601()
 ], async (req, res) => {
   try {
-    const endDate = req.body.date ? new Date(req.body.date) : new Date();
+    const endDate = req.body.date ? parseCalendarDate(req.body.date, req.user.timezone) : new Date();
 
     const cycle = await Cycle.findOne({ userId: req.user._id });
 
@@ -222,8 +221,8 @@ router.post('/period/log', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const startDate = new Date(req.body.startDate);
-    const endDate = req.body.endDate ? new Date(req.body.endDate) : null;
+    const startDate = parseCalendarDate(req.body.startDate, req.user.timezone);
+    const endDate = req.body.endDate ? parseCalendarDate(req.body.endDate, req.user.timezone) : null;
     const flow = req.body.flow || 'medium';
 
     // Validate dates
@@ -447,7 +446,7 @@ router.post('/symptom', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const date = req.body.date ? new Date(req.body.date) : new Date();
+    const date = req.body.date ? parseCalendarDate(req.body.date, req.user.timezone) : new Date();
     const { type, severity, notes } = req.body;
 
     let cycle = await Cycle.findOne({ userId: req.user._id });
@@ -488,8 +487,8 @@ router.get('/symptoms', auth, async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
-    const start = startDate ? new Date(startDate) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate ? parseCalendarDate(startDate, req.user.timezone) : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const end = endDate ? parseCalendarDate(endDate, req.user.timezone) : new Date();
 
     const cycle = await Cycle.findOne({ userId: req.user._id });
 
@@ -566,21 +565,17 @@ router.put('/expected', auth, [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const startDate = new Date(req.body.startDate);
-    const endDate = req.body.endDate ? new Date(req.body.endDate) : null;
+    const timeZone = req.user.timezone;
+    const startDate = parseCalendarDate(req.body.startDate, timeZone);
+    const endDate = req.body.endDate ? parseCalendarDate(req.body.endDate, timeZone) : null;
 
     // Validate dates
     if (endDate && endDate < startDate) {
       return res.status(400).json({ error: 'End date cannot be before start date' });
     }
 
-    // Start date should be in the future (or at most today)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const startDateNormalized = new Date(startDate);
-    startDateNormalized.setHours(0, 0, 0, 0);
-
-    if (startDateNormalized < today) {
+    // Start date should be in the future (or at most today, on the user's calendar)
+    if (getDateKey(startDate, timeZone) < getDateKey(new Date(), timeZone)) {
       return res.status(400).json({ error: 'Expected period start date must be today or in the future' });
     }
 
@@ -755,8 +750,12 @@ router.get('/user/:userId', auth, async (req, res) => {
       });
     }
 
-    const currentPhase = cycle.getCurrentPhase();
-    const lastPeriod = cycle.getLastPeriod();
+    // Get the user's name; days are counted in their timezone, not the viewer's
+    const targetUser = await User.findById(targetUserId).select('name timezone');
+    const timeZone = targetUser.timezone;
+
+    const currentPhase = cycle.getCurrentPhase(timeZone);
+    const lastPeriod = cycle.getLastPeriod(timeZone);
     const nextPeriod = cycle.getNextPeriod();
     const fertileWindow = cycle.getFertileWindow();
 
@@ -771,9 +770,6 @@ router.get('/user/:userId', auth, async (req, res) => {
       .sort((a, b) => b.date - a.date)
       .slice(0, 10);
 
-    // Get the user's name
-    const targetUser = await User.findById(targetUserId).select('name');
-
     // Return in same format as main cycle endpoint for consistency
     res.json({
       user: {
@@ -792,7 +788,7 @@ router.get('/user/:userId', auth, async (req, res) => {
         ongoingPeriod: hasOngoingPeriod ? {
           startDate: latestPeriod.startDate,
           flow: latestPeriod.flow,
-          dayCount: Math.ceil((new Date() - latestPeriod.startDate) / (1000 * 60 * 60 * 24)) + 1
+          dayCount: daysBetween(latestPeriod.startDate, new Date(), timeZone) + 1
         } : null,
         fertileWindow,
         recentPeriods: cycle.periods.slice(-6).reverse(),
@@ -814,7 +810,7 @@ async function notifyCycleUpdate(userId, cycle, type) {
     const sharedUsers = await User.find({ _id: { $in: cycle.shareWith } });
 
     let title, message;
-    const currentPhase = cycle.getCurrentPhase();
+    const currentPhase = cycle.getCurrentPhase(user.timezone);
 
     if (type === 'period_started') {
       title = `${user.name}'s Cycle Update`;
@@ -829,18 +825,22 @@ async function notifyCycleUpdate(userId, cycle, type) {
       title = `${user.name}'s Cycle Update`;
       message = `${user.name} logged a past period`;
     } else if (type === 'expected_period_set') {
+      // The message carries the date, so it's written per reader below
       title = `${user.name}'s Cycle Update`;
-      message = `${user.name} updated their expected period`;
     }
 
     for (const sharedUser of sharedUsers) {
+      // The expected date is the sender's calendar day, written in the reader's language
+      const text = message ||
+        `${user.name} expects their next period on ${formatDate(cycle.expectedNextPeriod.startDate, sharedUser.locale, user.timezone)}`;
+
       // Create notification in database
       await Notification.create({
         senderId: userId,
         receiverId: sharedUser._id,
         type: 'cycle',
         title,
-        message,
+        message: text,
         data: { cyclePhase: currentPhase?.phase }
       });
 
@@ -853,14 +853,12 @@ async function notifyCycleUpdate(userId, cycle, type) {
       });
 
       // Send push notification
-      if (sharedUser.fcmToken) {
-        await sendPushNotification(
-          sharedUser.fcmToken,
-          title,
-          message,
-          { type: 'cycle_update', userId: userId.toString() }
-        );
-      }
+      await sendPushToUser(
+        sharedUser,
+        title,
+        text,
+        { type: 'cycle_update', userId: userId.toString() }
+      );
     }
   } catch (error) {
     console.error('Error notifying cycle update:', error);
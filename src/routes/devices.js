@@ -0,0 +1,88 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { bindSessionDevice } = require('../services/session');
+
+const router = express.Router();
+
+// Get registered devices
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    res.json({
+      devices: user.devices
+        .slice()
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt)
+        .map(d => ({
+          id: d.deviceId,
+          platform: d.platform,
+          appVersion: d.appVersion,
+          hasPushToken: !!d.fcmToken,
+          lastSeenAt: d.lastSeenAt,
+          isCurrent: d.deviceId === req.session.deviceId
+        }))
+    });
+  } catch (error) {
+    console.error('Get devices error:', error);
+    res.status(500).json({ error: 'Failed to get devices' });
+  }
+});
+
+// Register or update the current device
+router.put('/', auth, [
+  body('deviceId').trim().isLength({ min: 1, max: 200 }),
+  body('platform').optional().isIn(['ios', 'android', 'web']),
+  body('appVersion').optional().trim().isLength({ max: 50 }),
+  body('fcmToken').optional({ nullable: true }).isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { deviceId, platform, appVersion, fcmToken } = req.body;
+
+    const user = await User.registerDevice(req.user._id, { deviceId, platform, appVersion, fcmToken });
+    await bindSessionDevice(req.session, deviceId);
+
+    const device = user.devices.find(d => d.deviceId === deviceId);
+
+    res.json({
+      message: 'Device registered',
+      device: {
+        id: device.deviceId,
+        platform: device.platform,
+        appVersion: device.appVersion,
+        hasPushToken: !!device.fcmToken,
+        lastSeenAt: device.lastSeenAt,
+        isCurrent: true
+      }
+    });
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// Remove a device (stops push notifications to it)
+router.delete('/:deviceId', auth, async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+
+    const result = await User.removeDevice(req.user._id, deviceId);
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({ message: 'Device removed' });
+  } catch (error) {
+    console.error('Remove device error:', error);
+    res.status(500).json({ error: 'Failed to remove device' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,103 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const ExportJob = require('../models/ExportJob');
+const { auth } = require('../middleware/auth');
+const {
+  startExport,
+  createDownloadUrl,
+  verifyDownloadSignature
+} = require('../services/export');
+
+const router = express.Router();
+
+// Describe a job for the client, with a fresh download link once it's done
+const formatJob = (job) => ({
+  id: job._id,
+  status: job.status,
+  progress: job.progress,
+  fileSize: job.fileSize,
+  error: job.error,
+  createdAt: job.createdAt,
+  completedAt: job.completedAt,
+  expiresAt: job.expiresAt,
+  download: job.status === 'completed' ? createDownloadUrl(job) : null
+});
+
+// Request a personal data export
+// Progress is pushed over Socket.IO as 'export:progress'
+router.post('/', auth, async (req, res) => {
+  try {
+    const { job, created } = await startExport(req.user._id);
+
+    res.status(created ? 202 : 200).json({
+      message: created ? 'Export started' : 'Export already in progress',
+      job: formatJob(job)
+    });
+  } catch (error) {
+    console.error('Start export error:', error);
+    res.status(500).json({ error: 'Failed to start export' });
+  }
+});
+
+// List recent exports
+router.get('/', auth, async (req, res) => {
+  try {
+    const jobs = await ExportJob.find({ userId: req.user._id }).sort({ createdAt: -1 }).limit(10);
+
+    res.json({ exports: jobs.map(formatJob) });
+  } catch (error) {
+    console.error('Get exports error:', error);
+    res.status(500).json({ error: 'Failed to get exports' });
+  }
+});
+
+// Get export status
+router.get('/:jobId', auth, async (req, res) => {
+  try {
+    const { jobId } = req.params;
+
+    if (!mongoose.isValidObjectId(jobId)) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    const job = await ExportJob.findOne({ _id: jobId, userId: req.user._id });
+    if (!job) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.json({ job: formatJob(job) });
+  } catch (error) {
+    console.error('Get export error:', error);
+    res.status(500).json({ error: 'Failed to get export' });
+  }
+});
+
+// Download the archive
+// No auth header: the signed, short-lived URL is the credential
+router.get('/:jobId/download', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    const { expires, signature } = req.query;
+
+    if (!mongoose.isValidObjectId(jobId) || !verifyDownloadSignature(jobId, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired download link', code: 'INVALID_DOWNLOAD_LINK' });
+    }
+
+    const job = await ExportJob.findById(jobId);
+    if (!job || job.status !== 'completed' || job.expiresAt < new Date()) {
+      return res.status(404).json({ error: 'Export not found' });
+    }
+
+    res.download(job.filePath, `couple-app-export-${job.completedAt.toISOString().slice(0, 10)}.zip`, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Export download error:', err);
+        res.status(404).json({ error: 'Export not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Download export error:', error);
+    res.status(500).json({ error: 'Failed to download export' });
+  }
+});
+
+module.exports = router;
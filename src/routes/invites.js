@@ -0,0 +1,141 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const Invite = require('../models/Invite');
+const { auth } = require('../middleware/auth');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { createInvite, formatInvite } = require('../services/invites');
+
+const router = express.Router();
+
+const INVITE_LIMIT = { max: 20, windowSeconds: 24 * 60 * 60 };
+const LOOKUP_LIMIT = { max: 30, windowSeconds: 60 };
+
+// HTTP status for createInvite failures
+const ERROR_STATUS = {
+  ALREADY_REGISTERED: 409,
+  ALREADY_INVITED: 409,
+  ALREADY_HAS_PARTNER: 400,
+  INVALID_PHONE: 400,
+  INVALID_EMAIL: 400
+};
+
+// Invite someone who isn't on the app yet
+// Body: type, channel ('phone' with phone, 'email' with email, or 'link')
+router.post('/', auth, rateLimit('invite', INVITE_LIMIT), [
+  body('type').isIn(['partner', 'close_friend']),
+  body('channel').isIn(Invite.CHANNELS),
+  body('phone').if(body('channel').equals('phone')).isString().trim().notEmpty(),
+  body('email').if(body('channel').equals('email')).isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await createInvite(req.user, req.body);
+    if (result.code === 'RATE_LIMITED') {
+      return sendTooManyRequests(res, result);
+    }
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.code] || 400).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json({
+      message: 'Invite created',
+      invite: formatInvite(result.invite),
+      // Shown once; only the inviter can share the link or QR code
+      url: result.url,
+      qrCode: result.qrCode
+    });
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({ error: 'Failed to create invite' });
+  }
+});
+
+// List invites I have sent
+router.get('/', auth, async (req, res) => {
+  try {
+    const invites = await Invite.find({ inviterId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('acceptedBy', 'name avatar');
+
+    res.json({ invites: invites.map(formatInvite) });
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({ error: 'Failed to get invites' });
+  }
+});
+
+// Look up an invite from its deep link, before signing up
+router.get('/token/:token', rateLimit('invite-lookup', LOOKUP_LIMIT), async (req, res) => {
+  try {
+    const invite = await Invite.findByToken(req.params.token);
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    await invite.populate('inviterId', 'name avatar');
+
+    res.json({
+      invite: {
+        type: invite.type,
+        status: invite.getDisplayStatus(),
+        expiresAt: invite.expiresAt,
+        inviter: invite.inviterId
+          ? { name: invite.inviterId.name, avatar: invite.inviterId.avatar }
+          : null
+      }
+    });
+  } catch (error) {
+    console.error('Look up invite error:', error);
+    res.status(500).json({ error: 'Failed to get invite' });
+  }
+});
+
+// Check on an invite I sent
+router.get('/:inviteId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.inviteId)) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const invite = await Invite.findOne({ _id: req.params.inviteId, inviterId: req.user._id })
+      .populate('acceptedBy', 'name avatar');
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ invite: formatInvite(invite) });
+  } catch (error) {
+    console.error('Get invite error:', error);
+    res.status(500).json({ error: 'Failed to get invite' });
+  }
+});
+
+// Revoke an invite that hasn't been used yet
+router.delete('/:inviteId', auth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.inviteId)) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.inviteId, inviterId: req.user._id, status: 'pending' },
+      { status: 'revoked' }
+    );
+    if (!invite) {
+      return res.status(404).json({ error: 'Invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({ error: 'Failed to revoke invite' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@ const { body, validationResult } = require('express-validator');
 const Location = require('../models/Location');
 const User = require('../models/User');
 const Connection = require('../models/Connection');
-const { auth } = require('../middleware/auth');
+const { auth, authWithScope } = require('../middleware/auth');
 const { processLocationUpdate, updateLocationSharing } = require('../services/location');
 const { cacheLocationSharing } = require('../middleware/cache');
 const { CacheService } = require('../services/cache');
@@ -61,7 +61,7 @@ router.post('/update', auth, [
 });
 
 // Get location sharing settings
-router.get('/sharing', auth, cacheLocationSharing, async (req, res) => {
+router.get('/sharing', authWithScope('location:read'), cacheLocationSharing, async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .populate('locationSharing.shareWith', 'name avatar');
@@ -149,7 +149,7 @@ router.put('/sharing', auth, [
 });
 
 // Get connected user's latest location
-router.get('/user/:userId', auth, async (req, res) => {
+router.get('/user/:userId', authWithScope('location:read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -200,7 +200,7 @@ router.get('/user/:userId', auth, async (req, res) => {
 });
 
 // Get connected user's location history
-router.get('/user/:userId/history', auth, async (req, res) => {
+router.get('/user/:userId/history', authWithScope('location:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { startDate, endDate } = req.query;
@@ -252,7 +252,7 @@ router.get('/user/:userId/history', auth, async (req, res) => {
 });
 
 // Get connected user's visit history
-router.get('/user/:userId/visits', auth, async (req, res) => {
+router.get('/user/:userId/visits', authWithScope('location:read'), async (req, res) => {
   try {
     const { userId } = req.params;
     const limit = parseInt(req.query.limit) || 20;
@@ -301,7 +301,7 @@ router.get('/user/:userId/visits', auth, async (req, res) => {
 });
 
 // Get my location history
-router.get('/history', auth, async (req, res) => {
+router.get('/history', authWithScope('location:read'), async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
@@ -3,17 +3,17 @@ const { body, validationResult } = require('express-validator');
 const Notification = require('../models/Notification');
 const User = require('../models/User');
 const Connection = require('../models/Connection');
-const { auth } = require('../middleware/auth');
+const { auth, authWithScope } = require('../middleware/auth');
 const { checkFreeSlots, checkPremiumSlots } = require('../middleware/premium');
 const { sendToUser } = require('../config/socket');
-const { sendPushNotification } = require('../services/push');
+const { sendPushToUser } = require('../services/push');
 const { cacheNotifications } = require('../middleware/cache');
 const { CacheService } = require('../services/cache');
 
 const router = express.Router();
 
 // Get predefined notification templates
-router.get('/templates', auth, async (req, res) => {
+router.get('/templates', authWithScope('notifications:read'), async (req, res) => {
   try {
     const predefined = Notification.getPredefinedTemplates();
     const user = await User.findById(req.user._id);
@@ -41,7 +41,7 @@ router.get('/templates', auth, async (req, res) => {
 });
 
 // Get user's notifications
-router.get('/', auth, cacheNotifications, async (req, res) => {
+router.get('/', authWithScope('notifications:read'), cacheNotifications, async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 50;
     const notifications = await Notification.getUserNotifications(req.user._id, limit);
@@ -70,7 +70,7 @@ router.get('/', auth, cacheNotifications, async (req, res) => {
 });
 
 // Send predefined notification
-router.post('/send/predefined', auth, [
+router.post('/send/predefined', authWithScope('notifications:send'), [
   body('receiverId').isMongoId(),
   body('templateId').isIn(['thinking_of_you', 'call_me', 'on_my_way'])
 ], async (req, res) => {
@@ -131,9 +131,9 @@ router.post('/send/predefined', auth, [
 
     // Send push notification
     const receiver = await User.findById(receiverId);
-    if (receiver?.fcmToken) {
-      await sendPushNotification(
-        receiver.fcmToken,
+    if (receiver) {
+      await sendPushToUser(
+        receiver,
         `${req.user.name}: ${template.title}`,
         template.message,
         { type: 'notification', notificationId: notification._id.toString() }
@@ -155,7 +155,7 @@ router.post('/send/predefined', auth, [
 });
 
 // Send custom notification
-router.post('/send/custom', auth, [
+router.post('/send/custom', authWithScope('notifications:send'), [
   body('receiverId').isMongoId(),
   body('customNotificationId').isMongoId()
 ], async (req, res) => {
@@ -224,9 +224,9 @@ router.post('/send/custom', auth, [
 
     // Send push notification
     const receiver = await User.findById(receiverId);
-    if (receiver?.fcmToken) {
-      await sendPushNotification(
-        receiver.fcmToken,
+    if (receiver) {
+      await sendPushToUser(
+        receiver,
         `${req.user.name}: ${customTemplate.title}`,
         customTemplate.message,
         { type: 'notification', notificationId: notification._id.toString() }
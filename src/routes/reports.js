@@ -0,0 +1,86 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Report = require('../models/Report');
+const { auth } = require('../middleware/auth');
+const { rateLimit, sendTooManyRequests } = require('../middleware/rateLimit');
+const { createReport } = require('../services/reports');
+
+const router = express.Router();
+
+const REPORT_LIMIT = { max: 20, windowSeconds: 60 * 60 };
+const MAX_EVIDENCE_ITEMS = 5;
+
+// HTTP status for createReport failures; anything else is a missing target
+const ERROR_STATUS = {
+  ALREADY_REPORTED: 409,
+  CANNOT_REPORT_SELF: 400,
+  DETAILS_TOO_LONG: 400
+};
+
+// Report a user or a received notification
+// Body: targetType ('user' with userId, or 'notification' with notificationId), reason,
+// optional details, evidence (URLs) and block (also block the reported user)
+router.post('/', auth, rateLimit('report', REPORT_LIMIT), [
+  body('targetType').isIn(['user', 'notification']),
+  body('userId').if(body('targetType').equals('user')).isMongoId(),
+  body('notificationId').if(body('targetType').equals('notification')).isMongoId(),
+  body('reason').isIn(Report.REASONS),
+  body('details').optional().isString().trim(),
+  body('evidence').optional().isArray({ max: MAX_EVIDENCE_ITEMS }),
+  body('evidence.*').isURL().withMessage('Evidence must be a link'),
+  body('block').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await createReport(req.user._id, req.body);
+    if (result.code === 'RATE_LIMITED') {
+      return sendTooManyRequests(res, result);
+    }
+    if (!result.success) {
+      return res.status(ERROR_STATUS[result.code] || 404).json({ error: result.error, code: result.code });
+    }
+
+    res.status(201).json({
+      message: 'Report submitted',
+      report: {
+        id: result.report._id,
+        status: result.report.status,
+        createdAt: result.report.createdAt
+      }
+    });
+  } catch (error) {
+    console.error('Create report error:', error);
+    res.status(500).json({ error: 'Failed to submit report' });
+  }
+});
+
+// List my reports and where they stand
+router.get('/', auth, async (req, res) => {
+  try {
+    const reports = await Report.find({ reporterId: req.user._id })
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('reportedUserId', 'name');
+
+    res.json({
+      reports: reports.map(r => ({
+        id: r._id,
+        targetType: r.targetType,
+        reportedUser: r.reportedUserId ? { id: r.reportedUserId._id, name: r.reportedUserId.name } : null,
+        reason: r.reason,
+        status: r.status,
+        createdAt: r.createdAt,
+        resolvedAt: r.resolvedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ error: 'Failed to get reports' });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,7 @@ const { body, validationResult } = require('express-validator');
 const Status = require('../models/Status');
 const User = require('../models/User');
 const Connection = require('../models/Connection');
-const { auth } = require('../middleware/auth');
+const { auth, authWithScope } = require('../middleware/auth');
 const { checkFreeSlots, checkPremiumSlots } = require('../middleware/premium');
 const { sendToUsers } = require('../config/socket');
 const { cacheStatuses } = require('../middleware/cache');
@@ -12,7 +12,7 @@ const { CacheService } = require('../services/cache');
 const router = express.Router();
 
 // Get all available statuses (default + custom)
-router.get('/', auth, cacheStatuses, async (req, res) => {
+router.get('/', authWithScope('status:read'), cacheStatuses, async (req, res) => {
   try {
     // Get default statuses
     const defaultStatuses = await Status.getDefaultStatuses();
@@ -48,7 +48,7 @@ router.get('/', auth, cacheStatuses, async (req, res) => {
 });
 
 // Get current status
-router.get('/current', auth, async (req, res) => {
+router.get('/current', authWithScope('status:read'), async (req, res) => {
   try {
     const user = await User.findById(req.user._id).populate('currentStatus');
 
@@ -81,7 +81,7 @@ router.get('/current', auth, async (req, res) => {
 });
 
 // Set current status (default status)
-router.put('/current', auth, [
+router.put('/current', authWithScope('status:write'), [
   body('statusId').isMongoId()
 ], async (req, res) => {
   try {
@@ -130,7 +130,7 @@ router.put('/current', auth, [
 });
 
 // Set current custom status
-router.put('/current/custom', auth, [
+router.put('/current/custom', authWithScope('status:write'), [
   body('customStatusId').isMongoId()
 ], async (req, res) => {
   try {
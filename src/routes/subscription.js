@@ -253,7 +253,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 
         if (user) {
           const isPremium = subscription.status === 'active' || subscription.status === 'trialing';
-          await User.findByIdAndUpdate(user._id, { isPremium });
+          await User.findByIdAndUpdate(user._id, { isPremium: isPremium || !!user.premiumGrantedAt });
           console.log(`User ${user._id} subscription updated: ${subscription.status}`);
         }
         break;
@@ -265,7 +265,7 @@ router.post('/webhook', express.raw({ type: 'application/json' }), async (req, r
 
         if (user) {
           await User.findByIdAndUpdate(user._id, {
-            isPremium: false,
+            isPremium: !!user.premiumGrantedAt,
             stripeSubscriptionId: null
           });
           console.log(`User ${user._id} subscription cancelled`);
@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { auth } = require('../middleware/auth');
+const {
+  createProvisioning,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  verifySecondFactor
+} = require('../services/twoFactor');
+
+const router = express.Router();
+
+// Get two-factor status
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+
+    res.json({
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled
+        ? user.twoFactor.recoveryCodes.filter(c => !c.usedAt).length
+        : 0
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({ error: 'Failed to get two-factor status' });
+  }
+});
+
+// Start 2FA setup - returns a secret and QR code for the authenticator app
+router.post('/setup', auth, async (req, res) => {
+  try {
+    const user = await User.findWithTwoFactor(req.user._id);
+
+    if (!user.password) {
+      return res.status(400).json({ error: 'Two-factor authentication is only available for email login' });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const provisioning = await createProvisioning(user.email);
+
+    user.twoFactor.pendingSecret = provisioning.secret;
+    await user.save();
+
+    res.json({
+      secret: provisioning.secret,
+      otpauthUrl: provisioning.otpauthUrl,
+      qrCode: provisioning.qrCode
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+// Confirm setup with a code from the app and turn 2FA on
+// Recovery codes are returned only once, here
+router.post('/enable', auth, [
+  body('code').matches(/^\d{6}$/).withMessage('Invalid verification code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findWithTwoFactor(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotpCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    const recovery = generateRecoveryCodes();
+
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.recoveryCodes = recovery.hashed;
+    await user.save();
+
+    await AuditLog.record(user._id, '2fa_enabled', req);
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: recovery.codes
+    });
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+// Turn 2FA off (requires password and a current code or recovery code)
+router.post('/disable', auth, [
+  body('password').exists(),
+  body('code').optional().matches(/^\d{6}$/).withMessage('Invalid verification code'),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { password, code, recoveryCode } = req.body;
+
+    const user = await User.findWithTwoFactor(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const isMatch = await user.comparePassword(password);
+    if (!isMatch) {
+      return res.status(401).json({ error: 'Password is incorrect' });
+    }
+
+    const result = verifySecondFactor(user, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    user.twoFactor = { enabled: false, enabledAt: null };
+    await user.save();
+
+    await AuditLog.record(user._id, '2fa_disabled', req, { method: result.method });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+// Replace all recovery codes (old ones stop working)
+router.post('/recovery-codes', auth, [
+  body('code').matches(/^\d{6}$/).withMessage('Invalid verification code')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findWithTwoFactor(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    const result = verifySecondFactor(user, { code: req.body.code });
+    if (!result.valid) {
+      return res.status(401).json({ error: 'Invalid verification code', code: 'INVALID_2FA_CODE' });
+    }
+
+    const recovery = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = recovery.hashed;
+    await user.save();
+
+    await AuditLog.record(user._id, '2fa_recovery_codes_regenerated', req);
+
+    res.json({
+      message: 'Recovery codes regenerated',
+      recoveryCodes: recovery.codes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+  }
+});
+
+module.exports = router;
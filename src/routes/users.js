@@ -1,11 +1,63 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
 const { auth } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
 const { cacheUserSearch, cacheUserById } = require('../middleware/cache');
+const { getDefaultRegion, normalizePhone, digestPhone, keyPhoneDigest } = require('../services/phone');
 
 const router = express.Router();
 
+const CONTACT_SYNC_BATCH_SIZE = parseInt(process.env.CONTACT_SYNC_BATCH_SIZE) || 1000;
+const CONTACT_SYNC_LIMIT = { max: 60, windowSeconds: 60 * 60 };
+
+// Describe the connection between the user and each matched contact:
+// none, pending (with direction) or connected. Pairs with a legacy blocked
+// connection are left out; users blocked through the block list never match.
+const getConnectionStates = async (userId, otherIds) => {
+  const connections = await Connection.find({
+    $or: [
+      { userId, connectedUserId: { $in: otherIds } },
+      { userId: { $in: otherIds }, connectedUserId: userId }
+    ]
+  });
+
+  const states = new Map();
+  for (const conn of connections) {
+    const isRequester = conn.userId.toString() === userId.toString();
+    const otherId = (isRequester ? conn.connectedUserId : conn.userId).toString();
+
+    if (conn.status === 'blocked') {
+      states.set(otherId, { connectionState: 'blocked' });
+    } else if (conn.status === 'accepted') {
+      states.set(otherId, { connectionState: 'connected', connectionId: conn._id });
+    } else if (conn.status === 'pending') {
+      states.set(otherId, {
+        connectionState: 'pending',
+        connectionId: conn._id,
+        direction: isRequester ? 'sent' : 'received'
+      });
+    }
+  }
+  return states;
+};
+
+// Blocked users can't see each other's profiles, cached or not
+const hideBlockedProfile = async (req, res, next) => {
+  try {
+    if (mongoose.isValidObjectId(req.params.userId) && await Block.isBlockedBetween(req.user._id, req.params.userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    next();
+  } catch (error) {
+    console.error('Block check error:', error);
+    res.status(500).json({ error: 'Failed to get user' });
+  }
+};
+
 // Search users by phone number
 router.get('/search', auth, cacheUserSearch, [
   query('phone').optional(),
@@ -23,21 +75,36 @@ router.get('/search', auth, cacheUserSearch, [
       return res.status(400).json({ error: 'Please provide phone or email to search' });
     }
 
-    const searchQuery = {};
+    // Unverified accounts are not discoverable, and users can opt out per identifier
+    const searchQuery = { isVerified: true };
+    let exactPhone = false;
     if (phone) {
       // Normalize phone number - remove spaces, dashes, and handle country code variations
       const cleanPhone = phone.replace(/[\s\-\(\)]/g, '');
 
+      // A full number is required so search can't be used to enumerate users
+      if (!/^\+?\d{7,15}$/.test(cleanPhone)) {
+        return res.status(400).json({ error: 'Please enter a full phone number' });
+      }
+
       if (cleanPhone.startsWith('+')) {
         // Phone already has country code, search exact match
         searchQuery.phone = cleanPhone;
+        exactPhone = true;
       } else {
-        // Phone without country code - search using regex to match ending digits
-        // This matches phones ending with the provided digits
+        // Phone without country code - match numbers ending with the provided digits
         searchQuery.phone = { $regex: cleanPhone + '$' };
       }
+      searchQuery['privacy.discoverableByPhone'] = { $ne: false };
+    }
+    if (email) {
+      searchQuery.email = email.toLowerCase();
+      searchQuery.emailVerified = true;
+      searchQuery['privacy.discoverableByEmail'] = { $ne: false };
     }
-    if (email) searchQuery.email = email.toLowerCase();
+
+    // Blocked users don't show up, whichever side did the blocking
+    searchQuery._id = { $nin: await Block.getHiddenUserIds(req.user._id) };
 
     const user = await User.findOne(searchQuery).select('name avatar phone email');
 
@@ -50,7 +117,16 @@ router.get('/search', auth, cacheUserSearch, [
       return res.status(400).json({ error: 'Cannot search for yourself' });
     }
 
-    res.json({ user });
+    // Only echo back what the searcher already knew exactly
+    res.json({
+      user: {
+        _id: user._id,
+        name: user.name,
+        avatar: user.avatar,
+        phone: exactPhone ? user.phone : null,
+        email: email ? user.email : null
+      }
+    });
   } catch (error) {
     console.error('Search user error:', error);
     res.status(500).json({ error: 'Search failed' });
@@ -58,13 +134,13 @@ router.get('/search', auth, cacheUserSearch, [
 });
 
 // Get user profile by ID (for connected users only)
-router.get('/:userId', auth, cacheUserById, async (req, res) => {
+router.get('/:userId', auth, hideBlockedProfile, cacheUserById, async (req, res) => {
   try {
     const { userId } = req.params;
 
     const user = await User.findById(userId)
       .populate('currentStatus')
-      .select('name avatar currentStatus currentCustomStatus customStatuses lastActive');
+      .select('name avatar currentStatus currentCustomStatus customStatuses lastActive privacy');
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
@@ -97,7 +173,7 @@ router.get('/:userId', auth, cacheUserById, async (req, res) => {
         name: user.name,
         avatar: user.avatar,
         status: statusInfo,
-        lastActive: user.lastActive
+        lastActive: user.getSharedDetails().lastActive
       }
     });
   } catch (error) {
@@ -106,6 +182,86 @@ router.get('/:userId', auth, cacheUserById, async (req, res) => {
   }
 });
 
+// Contact sync parameters: clients normalise numbers to E.164 using the region,
+// then hash them as sha256(e164) before uploading. The server keys those hashes
+// with a secret before matching, so stored hashes are useless without it.
+router.get('/contacts/config', auth, (req, res) => {
+  res.json({
+    hashAlgorithm: 'sha256',
+    defaultRegion: getDefaultRegion(),
+    maxBatchSize: CONTACT_SYNC_BATCH_SIZE
+  });
+});
+
+// Match an address book against registered users.
+// Send `hashes` (preferred) and/or raw `phones`, which are normalised with `region`.
+router.post('/contacts/match', auth, rateLimit('contact-sync', CONTACT_SYNC_LIMIT), [
+  body('hashes').optional().isArray({ max: CONTACT_SYNC_BATCH_SIZE }),
+  body('hashes.*').isString().matches(/^[a-f0-9]{64}$/i).withMessage('Invalid contact hash'),
+  body('phones').optional().isArray({ max: CONTACT_SYNC_BATCH_SIZE }),
+  body('phones.*').isString(),
+  body('region').optional().isISO31661Alpha2()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const hashes = (req.body.hashes || []).map(h => h.toLowerCase());
+    const phones = req.body.phones || [];
+    const region = (req.body.region || getDefaultRegion()).toUpperCase();
+
+    if (hashes.length + phones.length > CONTACT_SYNC_BATCH_SIZE) {
+      return res.status(400).json({
+        error: `Send at most ${CONTACT_SYNC_BATCH_SIZE} contacts per request`,
+        code: 'BATCH_TOO_LARGE'
+      });
+    }
+
+    // Every contact is looked up by its keyed hash; matches echo back what was sent
+    const submittedByKey = new Map();
+    for (const hash of hashes) {
+      submittedByKey.set(keyPhoneDigest(hash), { hash });
+    }
+    for (const phone of phones) {
+      const normalized = normalizePhone(phone, region);
+      if (!normalized) continue;
+      const hash = digestPhone(normalized);
+      submittedByKey.set(keyPhoneDigest(hash), { hash, phone });
+    }
+
+    const allHashes = [...submittedByKey.keys()];
+    if (allHashes.length === 0) {
+      return res.json({ matches: [] });
+    }
+
+    const hiddenUserIds = await Block.getHiddenUserIds(req.user._id);
+    const users = await User.find({
+      phoneHash: { $in: allHashes },
+      _id: { $nin: [req.user._id, ...hiddenUserIds] },
+      isVerified: true,
+      'privacy.discoverableByPhone': { $ne: false }
+    }).select('name avatar phoneHash');
+
+    const states = await getConnectionStates(req.user._id, users.map(u => u._id));
+
+    const matches = users
+      .map(user => ({
+        ...submittedByKey.get(user.phoneHash),
+        user: { id: user._id, name: user.name, avatar: user.avatar },
+        connectionState: 'none',
+        ...states.get(user._id.toString())
+      }))
+      .filter(match => match.connectionState !== 'blocked');
+
+    res.json({ matches });
+  } catch (error) {
+    console.error('Contact match error:', error);
+    res.status(500).json({ error: 'Failed to match contacts' });
+  }
+});
+
 // Check if phone numbers exist (for contact sync)
 router.post('/check-contacts', auth, [
   body('phones').isArray()
@@ -119,13 +275,30 @@ router.post('/check-contacts', auth, [
 
     // Limit to 100 phones per request
     const limitedPhones = phones.slice(0, 100);
+    const submittedByNormalized = new Map();
+    for (const phone of limitedPhones) {
+      const normalized = typeof phone === 'string' ? normalizePhone(phone) : null;
+      if (normalized) submittedByNormalized.set(normalized, phone);
+    }
+    const normalizedPhones = [...submittedByNormalized.keys()];
 
+    const hiddenUserIds = await Block.getHiddenUserIds(req.user._id);
     const users = await User.find({
-      phone: { $in: limitedPhones },
-      _id: { $ne: req.user._id }
-    }).select('name avatar phone');
+      phoneNormalized: { $in: normalizedPhones },
+      _id: { $nin: [req.user._id, ...hiddenUserIds] },
+      isVerified: true,
+      'privacy.discoverableByPhone': { $ne: false }
+    }).select('name avatar phoneNormalized');
 
-    res.json({ users });
+    // Each match carries the number as the caller sent it, never the stored one
+    res.json({
+      users: users.map(user => ({
+        _id: user._id,
+        name: user.name,
+        avatar: user.avatar,
+        phone: submittedByNormalized.get(user.phoneNormalized)
+      }))
+    });
   } catch (error) {
     console.error('Check contacts error:', error);
     res.status(500).json({ error: 'Failed to check contacts' });
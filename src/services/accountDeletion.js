@@ -0,0 +1,224 @@
+const stripe = require('../config/stripe');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Status = require('../models/Status');
+const Notification = require('../models/Notification');
+const Cycle = require('../models/Cycle');
+const Location = require('../models/Location');
+const Otp = require('../models/Otp');
+const Session = require('../models/Session');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const Invite = require('../models/Invite');
+const AuditLog = require('../models/AuditLog');
+const { CacheService } = require('./cache');
+const { revokeAllSessions } = require('./session');
+const { deleteUserExports } = require('./export');
+const { deleteAvatarFiles } = require('./avatar');
+const { verifyIdToken } = require('./oauth');
+const { sendToUser } = require('../config/socket');
+
+// How often scheduled deletions are checked
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+// Days between a deletion request and the purge; 0 deletes right away
+const getGraceDays = () => Math.max(parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 0, 0);
+
+// A provider ID token confirming a deletion must have been issued this recently
+const REAUTH_MAX_AGE = 10 * 60 * 1000; // 10 minutes
+
+// Check the confirmation sent with a deletion request.
+// Password accounts confirm with their password. Accounts without one confirm by
+// signing in again with a linked Google/Apple account, or with an SMS code.
+const confirmAccountDeletion = async (userId, { password, otp, provider, idToken } = {}) => {
+  const user = await User.findById(userId).select('+password');
+  if (!user) {
+    return { valid: false, message: 'User not found' };
+  }
+
+  if (user.password) {
+    if (!password || !(await user.comparePassword(password))) {
+      return { valid: false, message: 'Password is incorrect' };
+    }
+    return { valid: true, user };
+  }
+
+  if (provider && idToken) {
+    const verification = await verifyIdToken(provider, idToken);
+    if (!verification.success) {
+      return { valid: false, message: verification.error };
+    }
+
+    const { profile } = verification;
+    const linked = user.identities.some(i => i.provider === provider && i.subject === profile.subject);
+    if (!linked) {
+      return { valid: false, message: 'This account is not linked to your profile' };
+    }
+    if (!profile.issuedAt || Date.now() - profile.issuedAt.getTime() > REAUTH_MAX_AGE) {
+      return { valid: false, message: 'Please sign in again to confirm' };
+    }
+
+    return { valid: true, user };
+  }
+
+  if (!user.phone || !otp) {
+    return {
+      valid: false,
+      message: user.phone ? 'Verification code required' : 'Please sign in again with your linked account to confirm'
+    };
+  }
+
+  const verification = await Otp.verifyOTP(user.phone, otp);
+  if (!verification.valid) {
+    return { valid: false, message: verification.message };
+  }
+
+  return { valid: true, user };
+};
+
+// Remove every trace of a user. Connections are told over Socket.IO before their
+// connection documents go away.
+const purgeUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return false;
+
+  const id = user._id;
+
+  // Cancel billing first so a failure here leaves the account in place to retry
+  if (user.stripeSubscriptionId) {
+    try {
+      await stripe.subscriptions.cancel(user.stripeSubscriptionId);
+    } catch (error) {
+      if (error.code !== 'resource_missing') {
+        throw error;
+      }
+    }
+  }
+
+  // Sign out all devices and close their sockets
+  await revokeAllSessions(id, 'account_deleted');
+
+  await deleteAvatarFiles(user.avatarKey);
+
+  const connections = await Connection.find({
+    $or: [{ userId: id }, { connectedUserId: id }]
+  });
+
+  for (const connection of connections) {
+    const otherUserId = connection.userId.toString() === id.toString()
+      ? connection.connectedUserId.toString()
+      : connection.userId.toString();
+
+    sendToUser(otherUserId, 'connection:removed', {
+      connectionId: connection._id,
+      reason: 'account_deleted'
+    });
+    await CacheService.invalidateConnections(otherUserId);
+  }
+
+  // Drop the user from other people's sharing lists
+  const sharedCycles = await Cycle.find({ shareWith: id }).select('userId');
+  await Cycle.updateMany({ shareWith: id }, { $pull: { shareWith: id } });
+  const sharingUsers = await User.find({ 'locationSharing.shareWith': id }).select('_id');
+  await User.updateMany({ 'locationSharing.shareWith': id }, { $pull: { 'locationSharing.shareWith': id } });
+
+  await Promise.all([
+    Connection.deleteMany({ _id: { $in: connections.map(c => c._id) } }),
+    Cycle.deleteOne({ userId: id }),
+    Location.deleteMany({ userId: id }),
+    Notification.deleteMany({ $or: [{ senderId: id }, { receiverId: id }] }),
+    Status.deleteMany({ userId: id }),
+    Session.deleteMany({ userId: id }),
+    PersonalAccessToken.deleteMany({ userId: id }),
+    Block.deleteMany({ $or: [{ blockerId: id }, { blockedId: id }] }),
+    Report.deleteMany({ $or: [{ reporterId: id }, { reportedUserId: id }] }),
+    Invite.deleteMany({ inviterId: id }),
+    Invite.updateMany({ acceptedBy: id }, { acceptedBy: null }),
+    // The user's own entries stay in the trail, stripped of anything that identifies them.
+    // Admin actions keep their details, which describe other accounts or the catalogue.
+    AuditLog.updateMany({ userId: id, action: /^admin:/ }, { ip: null, userAgent: null }),
+    AuditLog.updateMany({ userId: id, action: { $not: /^admin:/ } }, { ip: null, userAgent: null, metadata: {} }),
+    user.phone ? Otp.deleteMany({ phone: user.phone }) : null,
+    deleteUserExports(id)
+  ]);
+
+  await User.deleteOne({ _id: id });
+
+  await Promise.all([
+    CacheService.invalidateUser(id.toString()),
+    CacheService.invalidateConnections(id.toString()),
+    CacheService.invalidateStatuses(id.toString()),
+    CacheService.invalidateNotifications(id.toString()),
+    CacheService.invalidateCycle(id.toString()),
+    CacheService.invalidateLocation(id.toString()),
+    CacheService.invalidateSearchForUser(id.toString()),
+    ...sharedCycles.map(c => CacheService.invalidateCycle(c.userId.toString())),
+    ...sharingUsers.map(u => CacheService.invalidateLocation(u._id.toString()))
+  ]);
+
+  console.log(`Account ${id} deleted`);
+  return true;
+};
+
+// Delete now, or schedule the purge when a grace period is configured
+const requestAccountDeletion = async (userId) => {
+  const graceDays = getGraceDays();
+
+  if (graceDays === 0) {
+    await purgeUser(userId);
+    return { deleted: true, scheduledFor: null };
+  }
+
+  const scheduledFor = new Date(Date.now() + graceDays * 24 * 60 * 60 * 1000);
+  await User.findByIdAndUpdate(userId, { deletionScheduledAt: scheduledFor });
+  await CacheService.invalidateUser(userId.toString());
+
+  return { deleted: false, scheduledFor };
+};
+
+// Keep an account that was scheduled for deletion
+const cancelAccountDeletion = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, deletionScheduledAt: { $ne: null } },
+    { deletionScheduledAt: null }
+  );
+  await CacheService.invalidateUser(userId.toString());
+
+  return result.modifiedCount > 0;
+};
+
+// Purge accounts whose grace period has run out
+const purgeScheduledAccounts = async () => {
+  const users = await User.find({ deletionScheduledAt: { $lte: new Date() } }).select('_id');
+
+  for (const user of users) {
+    try {
+      await purgeUser(user._id);
+    } catch (error) {
+      console.error(`Account deletion error for ${user._id}:`, error);
+    }
+  }
+
+  return users.length;
+};
+
+// Periodically purge scheduled deletions
+const startAccountDeletionSweep = () => {
+  const timer = setInterval(() => {
+    purgeScheduledAccounts().catch(err => {
+      console.error('Account deletion sweep error:', err);
+    });
+  }, SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  confirmAccountDeletion,
+  purgeUser,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  purgeScheduledAccounts,
+  startAccountDeletionSweep
+};
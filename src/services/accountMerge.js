@@ -0,0 +1,325 @@
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Notification = require('../models/Notification');
+const Cycle = require('../models/Cycle');
+const Location = require('../models/Location');
+const AuditLog = require('../models/AuditLog');
+const Block = require('../models/Block');
+const Report = require('../models/Report');
+const Invite = require('../models/Invite');
+const { CacheService } = require('./cache');
+const { purgeUser } = require('./accountDeletion');
+
+const sameDay = (a, b) => new Date(a).toDateString() === new Date(b).toDateString();
+
+const otherParty = (connection, userId) => {
+  return connection.userId.toString() === userId.toString()
+    ? connection.connectedUserId
+    : connection.userId;
+};
+
+// A user has one partner, so a second accepted partner connection becomes a close friend
+const resolveType = async (connection, userId) => {
+  if (connection.type === 'partner' && connection.status === 'accepted' && await Connection.hasPartner(userId)) {
+    return 'close_friend';
+  }
+  return connection.type;
+};
+
+// Move the source's connections to the target. Where both were connected to the
+// same person the target keeps its connection; only a pending one is upgraded to
+// the source's accepted connection. Rejected and blocked ones stay as they are,
+// and connections with someone either account has blocked are dropped.
+const mergeConnections = async (target, source) => {
+  const affectedUserIds = new Set();
+  const sourceConnections = await Connection.find({
+    $or: [{ userId: source._id }, { connectedUserId: source._id }]
+  });
+
+  for (const connection of sourceConnections) {
+    const otherId = otherParty(connection, source._id);
+
+    // The two accounts were connected to each other
+    if (otherId.toString() === target._id.toString()) {
+      await Connection.deleteOne({ _id: connection._id });
+      continue;
+    }
+
+    affectedUserIds.add(otherId.toString());
+
+    if (await Block.isBlockedBetween(target._id, otherId) || await Block.isBlockedBetween(source._id, otherId)) {
+      await Connection.deleteOne({ _id: connection._id });
+      continue;
+    }
+
+    const existing = await Connection.findOne({
+      $or: [
+        { userId: target._id, connectedUserId: otherId },
+        { userId: otherId, connectedUserId: target._id }
+      ]
+    });
+
+    if (existing) {
+      if (connection.status === 'accepted' && existing.status === 'pending') {
+        existing.type = await resolveType(connection, target._id);
+        existing.status = 'accepted';
+        existing.nickname = existing.nickname || connection.nickname;
+        await existing.save();
+      }
+      await Connection.deleteOne({ _id: connection._id });
+      continue;
+    }
+
+    connection.type = await resolveType(connection, target._id);
+
+    const isRequester = connection.userId.toString() === source._id.toString();
+    if (isRequester) {
+      connection.userId = target._id;
+    } else {
+      connection.connectedUserId = target._id;
+    }
+    if (connection.initiatedBy.toString() === source._id.toString()) {
+      connection.initiatedBy = target._id;
+    }
+    await connection.save();
+  }
+
+  return affectedUserIds;
+};
+
+// Carry blocks over in both directions. A block between the two accounts is dropped.
+const mergeBlocks = async (target, source) => {
+  const blocks = await Block.find({ $or: [{ blockerId: source._id }, { blockedId: source._id }] });
+
+  for (const block of blocks) {
+    const blockerId = block.blockerId.equals(source._id) ? target._id : block.blockerId;
+    const blockedId = block.blockedId.equals(source._id) ? target._id : block.blockedId;
+
+    await Block.deleteOne({ _id: block._id });
+    if (blockerId.equals(blockedId)) continue;
+
+    await Block.updateOne(
+      { blockerId, blockedId },
+      { $setOnInsert: { blockerId, blockedId } },
+      { upsert: true }
+    );
+  }
+};
+
+// Combine cycle history and replace the source in other people's sharing lists
+const mergeCycle = async (target, source) => {
+  const sourceCycle = await Cycle.findOne({ userId: source._id });
+  const targetCycle = await Cycle.findOne({ userId: target._id });
+
+  if (sourceCycle && !targetCycle) {
+    sourceCycle.userId = target._id;
+    sourceCycle.shareWith = sourceCycle.shareWith.filter(id => id.toString() !== target._id.toString());
+    await sourceCycle.save();
+  } else if (sourceCycle && targetCycle) {
+    for (const period of sourceCycle.periods) {
+      if (!targetCycle.periods.some(p => sameDay(p.startDate, period.startDate))) {
+        targetCycle.periods.push(period.toObject());
+      }
+    }
+    targetCycle.periods.sort((a, b) => a.startDate - b.startDate);
+
+    for (const symptom of sourceCycle.symptoms) {
+      if (!targetCycle.symptoms.some(s => s.type === symptom.type && sameDay(s.date, symptom.date))) {
+        targetCycle.symptoms.push(symptom.toObject());
+      }
+    }
+
+    for (const id of sourceCycle.shareWith) {
+      if (id.toString() !== target._id.toString() && !targetCycle.shareWith.some(s => s.equals(id))) {
+        targetCycle.shareWith.push(id);
+      }
+    }
+
+    if (sourceCycle.lastPeriodStart && (!targetCycle.lastPeriodStart || sourceCycle.lastPeriodStart > targetCycle.lastPeriodStart)) {
+      targetCycle.lastPeriodStart = sourceCycle.lastPeriodStart;
+      targetCycle.lastPeriodEnd = sourceCycle.lastPeriodEnd;
+    }
+
+    await targetCycle.save();
+    await Cycle.deleteOne({ _id: sourceCycle._id });
+  }
+
+  const sharedCycles = await Cycle.find({ shareWith: source._id });
+  for (const cycle of sharedCycles) {
+    cycle.shareWith = cycle.shareWith.filter(id => !id.equals(source._id));
+    if (!cycle.userId.equals(target._id) && !cycle.shareWith.some(id => id.equals(target._id))) {
+      cycle.shareWith.push(target._id);
+    }
+    await cycle.save();
+    await CacheService.invalidateCycle(cycle.userId.toString());
+  }
+};
+
+// Move location history and sharing settings
+const mergeLocation = async (target, source) => {
+  await Location.updateMany({ userId: source._id }, { userId: target._id });
+
+  if (source.locationSharing?.enabled) {
+    target.locationSharing.enabled = true;
+  }
+  for (const id of source.locationSharing?.shareWith || []) {
+    if (!id.equals(target._id) && !target.locationSharing.shareWith.some(s => s.equals(id))) {
+      target.locationSharing.shareWith.push(id);
+    }
+  }
+
+  const sharingUsers = await User.find({ 'locationSharing.shareWith': source._id });
+  for (const user of sharingUsers) {
+    if (user._id.equals(target._id)) continue;
+
+    user.locationSharing.shareWith = user.locationSharing.shareWith.filter(id => !id.equals(source._id));
+    if (!user.locationSharing.shareWith.some(id => id.equals(target._id))) {
+      user.locationSharing.shareWith.push(target._id);
+    }
+    await user.save();
+    await CacheService.invalidateLocation(user._id.toString());
+  }
+};
+
+// Move notifications, dropping any the two accounts sent each other
+const mergeNotifications = async (target, source) => {
+  await Notification.deleteMany({
+    $or: [
+      { senderId: source._id, receiverId: target._id },
+      { senderId: target._id, receiverId: source._id }
+    ]
+  });
+  await Notification.updateMany({ senderId: source._id }, { senderId: target._id });
+  await Notification.updateMany({ receiverId: source._id }, { receiverId: target._id });
+};
+
+// Carry over custom statuses and notifications while slots remain
+const mergeCustomItems = (target, source) => {
+  for (const field of ['customStatuses', 'customNotifications']) {
+    for (const item of source[field]) {
+      const used = target[field].filter(i => i.isPremium === item.isPremium).length;
+      const limit = item.isPremium ? 5 : 2;
+      if (used < limit) {
+        const { _id, ...copy } = item.toObject();
+        target[field].push(copy);
+      }
+    }
+  }
+};
+
+// Merge the source account into the target and delete the source.
+// The caller must have proven control of both accounts.
+// Returns { success } or { success: false, error, code }
+const mergeAccounts = async (targetId, sourceId, req = null) => {
+  if (targetId.toString() === sourceId.toString()) {
+    return { success: false, error: 'Cannot merge an account with itself', code: 'MERGE_SAME_ACCOUNT' };
+  }
+
+  const target = await User.findById(targetId).select('+password');
+  const source = await User.findById(sourceId).select('+password');
+  if (!target || !source) {
+    return { success: false, error: 'User not found' };
+  }
+
+  if (target.stripeSubscriptionId && source.stripeSubscriptionId) {
+    return {
+      success: false,
+      error: 'Both accounts have a subscription. Cancel one before merging.',
+      code: 'MERGE_SUBSCRIPTION_CONFLICT'
+    };
+  }
+
+  const affectedUserIds = await mergeConnections(target, source);
+  await mergeCycle(target, source);
+  await mergeLocation(target, source);
+  await mergeNotifications(target, source);
+  await mergeBlocks(target, source);
+
+  // Reports follow the account, so its moderation history and throttling carry over
+  await Report.updateMany({ reporterId: source._id }, { reporterId: target._id });
+  await Report.updateMany({ reportedUserId: source._id }, { reportedUserId: target._id });
+
+  await Invite.updateMany({ inviterId: source._id }, { inviterId: target._id });
+  await Invite.updateMany({ acceptedBy: source._id }, { acceptedBy: target._id });
+
+  // Take over sign-in methods and billing the target lacks. Unique fields are
+  // released on the source first so the target can claim them.
+  const carried = {
+    email: !target.email && source.email ? source.email : null,
+    password: !target.email && source.email ? source.password : null,
+    phone: !target.phone && source.phone ? source.phone : null,
+    firebaseUid: !target.firebaseUid && source.firebaseUid ? source.firebaseUid : null,
+    stripeCustomerId: !target.stripeSubscriptionId && source.stripeSubscriptionId ? source.stripeCustomerId : null,
+    stripeSubscriptionId: !target.stripeSubscriptionId ? source.stripeSubscriptionId : null,
+    identities: source.identities.map(i => i.toObject())
+  };
+
+  await User.updateOne(
+    { _id: source._id },
+    {
+      $unset: { email: 1, phone: 1, firebaseUid: 1 },
+      $set: { identities: [], stripeSubscriptionId: null, stripeCustomerId: null, locationSharing: { enabled: false, shareWith: [] } }
+    }
+  );
+
+  if (carried.email) {
+    // The address only counts as proven if the source proved it; a source verified
+    // by phone alone hands over an address that still has to be confirmed
+    target.email = carried.email;
+    target.emailVerified = source.emailVerified;
+    target.isVerified = target.isVerified || source.emailVerified;
+  }
+  if (carried.password) {
+    // Already hashed: written directly so the save hook doesn't hash it again
+    await User.updateOne({ _id: target._id }, { password: carried.password });
+  }
+  if (carried.phone) target.phone = carried.phone;
+  if (carried.firebaseUid) target.firebaseUid = carried.firebaseUid;
+  if (carried.stripeSubscriptionId) {
+    target.stripeSubscriptionId = carried.stripeSubscriptionId;
+    target.stripeCustomerId = carried.stripeCustomerId;
+  }
+  target.isPremium = target.isPremium || source.isPremium;
+
+  for (const identity of carried.identities) {
+    target.identities.push(identity);
+  }
+
+  mergeCustomItems(target, source);
+
+  await target.save();
+
+  // Whatever is left of the source (sessions, statuses, audit trail) goes away
+  await purgeUser(source._id);
+
+  await Promise.all([
+    CacheService.invalidateUser(target._id.toString()),
+    CacheService.invalidateConnections(target._id.toString()),
+    CacheService.invalidateCycle(target._id.toString()),
+    CacheService.invalidateLocation(target._id.toString()),
+    CacheService.invalidateNotifications(target._id.toString()),
+    ...[...affectedUserIds].map(id => CacheService.invalidateConnections(id))
+  ]);
+
+  await AuditLog.record(target._id, 'account_merged', req, { sourceUserId: source._id });
+
+  return { success: true };
+};
+
+// Accounts verified before emailVerified existed proved their address to get
+// there. Merged accounts are left alone: the merge already decided whether the
+// address it carried over was proven.
+const backfillEmailVerified = async () => {
+  const mergedIds = await AuditLog.distinct('userId', { action: 'account_merged' });
+  const result = await User.updateMany(
+    { email: { $type: 'string' }, isVerified: true, emailVerified: { $ne: true }, _id: { $nin: mergedIds } },
+    { emailVerified: true }
+  );
+
+  if (result.modifiedCount > 0) {
+    console.log(`Email verification backfill: marked ${result.modifiedCount} accounts`);
+  }
+  return result.modifiedCount;
+};
+
+module.exports = { mergeAccounts, backfillEmailVerified };
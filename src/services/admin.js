@@ -0,0 +1,29 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+
+// Comma-separated emails whose accounts are made admins, so the first admin
+// can exist without an existing one granting the role
+const getAdminEmails = () => (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(Boolean);
+
+// Promote the accounts listed in ADMIN_EMAILS once they have proven the address.
+// Unproven ones are skipped so nobody can claim an address by registering it first.
+const bootstrapAdmins = async () => {
+  const emails = getAdminEmails();
+  if (emails.length === 0) return 0;
+
+  const users = await User.find({ email: { $in: emails }, emailVerified: true, role: { $ne: 'admin' } })
+    .select('email');
+
+  for (const user of users) {
+    await User.updateOne({ _id: user._id }, { role: 'admin' });
+    await AuditLog.record(user._id, 'admin_bootstrapped', null, { email: user.email });
+    console.log(`Granted admin role to ${user.email}`);
+  }
+
+  return users.length;
+};
+
+module.exports = { getAdminEmails, bootstrapAdmins };
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { putObject, deleteObject, getObjectUrl } = require('./storage');
+
+// Square thumbnails generated for every upload; `avatar` on the user points at medium
+const AVATAR_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+const MAX_AVATAR_BYTES = parseInt(process.env.AVATAR_MAX_BYTES) || 5 * 1024 * 1024; // 5 MB
+
+// Refuse decompression bombs: a small file can declare a huge canvas
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+// Identify the image format from its leading bytes; the client's content type is not trusted
+const sniffImageType = (buffer) => {
+  if (buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') {
+    return 'image/gif';
+  }
+  return null;
+};
+
+const getAvatarKey = (prefix, size) => `${prefix}/${size}.jpg`;
+
+// Public URLs of every size of a stored avatar
+const getAvatarUrls = (prefix) => {
+  if (!prefix) return null;
+
+  const urls = {};
+  for (const size of Object.keys(AVATAR_SIZES)) {
+    urls[size] = getObjectUrl(getAvatarKey(prefix, size));
+  }
+  return urls;
+};
+
+// Remove every size of a stored avatar
+const deleteAvatarFiles = async (prefix) => {
+  if (!prefix) return;
+
+  await Promise.all(Object.keys(AVATAR_SIZES).map(size =>
+    deleteObject(getAvatarKey(prefix, size)).catch(err => {
+      console.error(`Avatar delete error (${prefix}):`, err.message);
+    })
+  ));
+};
+
+// Validate an uploaded image, resize it to every thumbnail size and store them.
+// Orientation is applied and all metadata (EXIF, GPS, ...) is dropped.
+// Returns { success, prefix, urls } or { success: false, error, code }
+const storeAvatar = async (userId, buffer) => {
+  if (!sniffImageType(buffer)) {
+    return {
+      success: false,
+      error: 'Unsupported image type. Use JPEG, PNG, WebP or GIF.',
+      code: 'UNSUPPORTED_IMAGE_TYPE'
+    };
+  }
+
+  let images;
+  try {
+    images = await Promise.all(Object.entries(AVATAR_SIZES).map(async ([size, pixels]) => ({
+      size,
+      data: await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize(pixels, pixels, { fit: 'cover' })
+        .flatten({ background: '#ffffff' })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toBuffer()
+    })));
+  } catch (error) {
+    return { success: false, error: 'Image could not be processed', code: 'INVALID_IMAGE' };
+  }
+
+  // A new prefix per upload keeps URLs stable and cacheable; replacing the avatar changes the URL
+  const prefix = `avatars/${userId}/${crypto.randomBytes(8).toString('hex')}`;
+
+  await Promise.all(images.map(({ size, data }) =>
+    putObject(getAvatarKey(prefix, size), data, 'image/jpeg')
+  ));
+
+  return { success: true, prefix, urls: getAvatarUrls(prefix) };
+};
+
+module.exports = {
+  AVATAR_SIZES,
+  MAX_AVATAR_BYTES,
+  sniffImageType,
+  getAvatarUrls,
+  deleteAvatarFiles,
+  storeAvatar
+};
@@ -0,0 +1,77 @@
+const Block = require('../models/Block');
+const Connection = require('../models/Connection');
+const Cycle = require('../models/Cycle');
+const User = require('../models/User');
+const { CacheService } = require('./cache');
+const { sendToUser } = require('../config/socket');
+
+// Stop cycle and location sharing in both directions between two users
+const stopSharing = async (userId, otherUserId) => {
+  await Promise.all([
+    Cycle.updateOne({ userId }, { $pull: { shareWith: otherUserId } }),
+    Cycle.updateOne({ userId: otherUserId }, { $pull: { shareWith: userId } }),
+    User.updateOne({ _id: userId }, { $pull: { 'locationSharing.shareWith': otherUserId } }),
+    User.updateOne({ _id: otherUserId }, { $pull: { 'locationSharing.shareWith': userId } })
+  ]);
+};
+
+// Block a user. Any connection between the two is removed and all sharing stops at once.
+// Returns { success } or { success: false, error, code }
+const blockUser = async (blockerId, blockedId) => {
+  if (blockerId.toString() === blockedId.toString()) {
+    return { success: false, error: 'Cannot block yourself', code: 'CANNOT_BLOCK_SELF' };
+  }
+
+  const blockedUser = await User.exists({ _id: blockedId });
+  if (!blockedUser) {
+    return { success: false, error: 'User not found' };
+  }
+
+  try {
+    await Block.updateOne(
+      { blockerId, blockedId },
+      { $setOnInsert: { blockerId, blockedId } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent request created the same block
+    if (error.code !== 11000) throw error;
+  }
+
+  const connection = await Connection.findOneAndDelete({
+    $or: [
+      { userId: blockerId, connectedUserId: blockedId },
+      { userId: blockedId, connectedUserId: blockerId }
+    ]
+  });
+
+  // The blocked user sees the connection disappear, not the block
+  if (connection && connection.status !== 'blocked') {
+    sendToUser(blockedId.toString(), 'connection:removed', {
+      connectionId: connection._id
+    });
+  }
+
+  await stopSharing(blockerId, blockedId);
+
+  await Promise.all([
+    CacheService.invalidateConnectionPair(blockerId.toString(), blockedId.toString()),
+    CacheService.invalidateCycle(blockerId.toString()),
+    CacheService.invalidateCycle(blockedId.toString()),
+    CacheService.invalidateLocation(blockerId.toString()),
+    CacheService.invalidateLocation(blockedId.toString()),
+    CacheService.invalidateSearchForUser(blockerId.toString()),
+    CacheService.invalidateSearchForUser(blockedId.toString())
+  ]);
+
+  return { success: true };
+};
+
+// Lift a block. The two stay unconnected until one sends a new request.
+// Returns true if a block was removed
+const unblockUser = async (blockerId, blockedId) => {
+  const result = await Block.deleteOne({ blockerId, blockedId });
+  return result.deletedCount > 0;
+};
+
+module.exports = { blockUser, unblockUser };
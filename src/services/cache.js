@@ -17,6 +17,31 @@ const TTL = {
   SEARCH: 900,         // 15 minutes
 };
 
+/**
+ * In-process counter store used when Redis is unreachable,
+ * so rate limits keep working (per instance) during an outage
+ */
+const localCounters = new Map();
+const LOCAL_COUNTER_LIMIT = 10000;
+
+const getLocalCounter = (key) => {
+  const entry = localCounters.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    localCounters.delete(key);
+    return null;
+  }
+  return entry;
+};
+
+// Drop expired local counters so an outage can't grow the map without bound
+const pruneLocalCounters = () => {
+  const now = Date.now();
+  for (const [key, entry] of localCounters) {
+    if (entry.expiresAt <= now) localCounters.delete(key);
+  }
+};
+
 /**
  * Cache Service for Upstash Redis
  * Provides caching layer to reduce MongoDB load
@@ -158,6 +183,34 @@ const CacheService = {
     await this.del(`statuses:${userId}`);
   },
 
+  /**
+   * Remember a cached status list, so all of them can be dropped
+   * when the default status catalogue changes
+   */
+  async trackStatusKey(key) {
+    try {
+      await redis.sadd('statuses:keys', key);
+      await redis.expire('statuses:keys', TTL.STATUSES);
+    } catch (error) {
+      console.error('Cache SADD error:', error.message);
+    }
+  },
+
+  /**
+   * Invalidate every user's cached status list
+   */
+  async invalidateAllStatuses() {
+    try {
+      const keys = await redis.smembers('statuses:keys');
+      if (keys.length > 0) {
+        await redis.del(...keys);
+      }
+      await redis.del('statuses:keys');
+    } catch (error) {
+      console.error('Cache status invalidation error:', error.message);
+    }
+  },
+
   // ============== Notifications Caching ==============
 
   /**
@@ -250,6 +303,108 @@ const CacheService = {
     await this.set(key, results, TTL.SEARCH);
   },
 
+  /**
+   * Remember that a cached search result points at a user,
+   * so it can be dropped when their phone or email changes
+   */
+  async trackSearchKey(userId, key) {
+    try {
+      const setKey = `search:keys:${userId}`;
+      await redis.sadd(setKey, key);
+      await redis.expire(setKey, TTL.SEARCH);
+    } catch (error) {
+      console.error('Cache SADD error:', error.message);
+    }
+  },
+
+  /**
+   * Invalidate every cached search result that points at a user
+   */
+  async invalidateSearchForUser(userId) {
+    try {
+      const setKey = `search:keys:${userId}`;
+      const keys = await redis.smembers(setKey);
+      if (keys.length > 0) {
+        await redis.del(...keys);
+      }
+      await redis.del(setKey);
+    } catch (error) {
+      console.error('Cache search invalidation error:', error.message);
+    }
+  },
+
+  // ============== Counters ==============
+
+  /**
+   * Increment a counter, starting its TTL on first increment
+   * @param {string} key - Counter key
+   * @param {number} ttl - Time to live in seconds
+   * @returns {Promise<number>} - Counter value after increment
+   */
+  async increment(key, ttl) {
+    try {
+      const count = await redis.incr(key);
+      if (count === 1) {
+        await redis.expire(key, ttl);
+      }
+      return count;
+    } catch (error) {
+      console.error('Cache INCR error, using local counter:', error.message);
+      if (localCounters.size > LOCAL_COUNTER_LIMIT) pruneLocalCounters();
+      const entry = getLocalCounter(key) || { value: 0, expiresAt: Date.now() + ttl * 1000 };
+      entry.value += 1;
+      localCounters.set(key, entry);
+      return entry.value;
+    }
+  },
+
+  /**
+   * Set a counter to a value
+   */
+  async setCounter(key, value, ttl) {
+    try {
+      await redis.set(key, value, { ex: ttl });
+    } catch (error) {
+      console.error('Cache SET counter error, using local counter:', error.message);
+      localCounters.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+    }
+  },
+
+  /**
+   * Get a counter value (0 if missing)
+   */
+  async getCounter(key) {
+    try {
+      const value = await redis.get(key);
+      return parseInt(value) || 0;
+    } catch (error) {
+      console.error('Cache GET counter error, using local counter:', error.message);
+      return getLocalCounter(key)?.value || 0;
+    }
+  },
+
+  /**
+   * Get seconds until a counter expires (0 if missing)
+   */
+  async getCounterTtl(key) {
+    try {
+      const ttl = await redis.ttl(key);
+      return ttl > 0 ? ttl : 0;
+    } catch (error) {
+      console.error('Cache TTL error, using local counter:', error.message);
+      const entry = getLocalCounter(key);
+      return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+    }
+  },
+
+  /**
+   * Delete a counter
+   */
+  async resetCounter(key) {
+    localCounters.delete(key);
+    await this.del(key);
+  },
+
   // ============== Health Check ==============
 
   /**
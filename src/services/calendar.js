@@ -0,0 +1,126 @@
+// Calendar maths in a user's own timezone. Users without a timezone get the server's,
+// which is how dates were computed before timezones were stored.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getServerTimeZone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// Whether a string is an IANA timezone name the runtime knows (e.g. Europe/Berlin)
+const isValidTimeZone = (timeZone) => {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Canonical BCP 47 tag (en-us -> en-US), or null if it isn't one
+const normalizeLocale = (locale) => {
+  if (!locale || typeof locale !== 'string') return null;
+  try {
+    return Intl.getCanonicalLocales(locale)[0] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const resolveTimeZone = (timeZone) => isValidTimeZone(timeZone) ? timeZone : getServerTimeZone();
+
+// Year, month and day of an instant on the wall calendar of a timezone
+const getDateParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric'
+  }).formatToParts(new Date(date));
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day') };
+};
+
+// The calendar date of an instant in a timezone, as YYYY-MM-DD (sorts like dates)
+const getDateKey = (date, timeZone) => {
+  const { year, month, day } = getDateParts(date, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Whole calendar days from one instant to another, counted in a timezone
+const daysBetween = (from, to, timeZone) => {
+  const a = getDateParts(from, timeZone);
+  const b = getDateParts(to, timeZone);
+  return Math.round((Date.UTC(b.year, b.month - 1, b.day) - Date.UTC(a.year, a.month - 1, a.day)) / DAY_MS);
+};
+
+// Offset of a timezone from UTC at an instant, in milliseconds
+const getOffset = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(new Date(instant));
+
+  const get = (type) => parseInt(parts.find(p => p.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(instant / 1000) * 1000;
+};
+
+// The instant a calendar date begins in a timezone
+const startOfDate = (year, month, day, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day);
+  const first = guess - getOffset(guess, timeZone);
+  // Re-check in case a DST change falls between the guess and local midnight
+  return new Date(guess - getOffset(first, timeZone));
+};
+
+// Parse a date from the client. A bare YYYY-MM-DD means that day in the user's
+// timezone (its local midnight); anything else is taken as an exact instant.
+const parseCalendarDate = (value, timeZone) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (match) {
+    return startOfDate(parseInt(match[1]), parseInt(match[2]), parseInt(match[3]), timeZone);
+  }
+  return new Date(value);
+};
+
+// Parse a birthday given as YYYY-MM-DD. Returns UTC midnight of the date, or null
+// unless it's a real date between 1900 and today.
+const parseBirthday = (value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) return null;
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+
+  // Timezones run up to 14 hours ahead of UTC, so allow today wherever the user is
+  if (year < 1900 || date.getTime() > Date.now() + 14 * 60 * 60 * 1000) return null;
+
+  return date;
+};
+
+// Format a date for a notification, in the reader's language and the given timezone
+const formatDate = (date, locale, timeZone) => {
+  return new Intl.DateTimeFormat(normalizeLocale(locale) || 'en-US', {
+    timeZone: resolveTimeZone(timeZone),
+    month: 'short',
+    day: 'numeric'
+  }).format(new Date(date));
+};
+
+module.exports = {
+  isValidTimeZone,
+  normalizeLocale,
+  getDateKey,
+  daysBetween,
+  parseCalendarDate,
+  parseBirthday,
+  formatDate
+};
@@ -0,0 +1,86 @@
+const Connection = require('../models/Connection');
+const { CacheService } = require('./cache');
+const { consume, peek } = require('./rateLimit');
+const { checkRequestThrottle, recordThrottledRequest } = require('./reports');
+const { sendToUser } = require('../config/socket');
+
+// How often pending requests are checked for expiry
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a request stays pending before it expires
+const getExpiryDays = () => Math.max(parseInt(process.env.CONNECTION_REQUEST_EXPIRY_DAYS) || 30, 1);
+
+// Requests one user may send per day
+const getDailyLimit = () => Math.max(parseInt(process.env.CONNECTION_REQUEST_DAILY_LIMIT) || 20, 1);
+
+// Check whether the sender may send another request. Nothing is counted until
+// recordSentRequest, so refused requests don't use up the day's allowance.
+// Returns { allowed, throttled } or { allowed: false, retryAfter, code }
+const checkSendLimits = async (userId) => {
+  const throttle = await checkRequestThrottle(userId);
+  if (!throttle.allowed) {
+    return { allowed: false, retryAfter: throttle.retryAfter, code: 'REQUESTS_THROTTLED' };
+  }
+
+  const daily = await peek('connection-requests', userId.toString(), getDailyLimit());
+  if (!daily.allowed) {
+    return { allowed: false, retryAfter: daily.retryAfter, code: 'DAILY_REQUEST_LIMIT' };
+  }
+
+  return { allowed: true, throttled: throttle.throttled };
+};
+
+// Count a created request against the limits checkSendLimits allowed it under
+const recordSentRequest = async (userId, limits) => {
+  await consume('connection-requests', userId.toString(), getDailyLimit(), DAY_MS / 1000);
+  if (limits.throttled) {
+    await recordThrottledRequest(userId);
+  }
+};
+
+// Mark requests left pending too long as expired and tell both sides
+const expirePendingRequests = async () => {
+  const cutoff = new Date(Date.now() - getExpiryDays() * DAY_MS);
+  const requests = await Connection.find({ status: 'pending', createdAt: { $lte: cutoff } })
+    .select('userId connectedUserId');
+
+  let expired = 0;
+  for (const request of requests) {
+    // Skip requests answered since they were loaded
+    const result = await Connection.updateOne({ _id: request._id, status: 'pending' }, { status: 'expired' });
+    if (result.modifiedCount === 0) continue;
+    expired++;
+
+    await CacheService.invalidateConnectionPair(request.userId.toString(), request.connectedUserId.toString());
+
+    sendToUser(request.userId.toString(), 'connection:request_expired', { id: request._id });
+    sendToUser(request.connectedUserId.toString(), 'connection:request_expired', { id: request._id });
+  }
+
+  return expired;
+};
+
+// Expire old pending requests now, then periodically
+const startRequestExpirySweep = () => {
+  // Requests that lapsed while the server was down shouldn't wait for the first interval
+  expirePendingRequests().catch(err => {
+    console.error('Connection request expiry sweep error:', err);
+  });
+
+  const timer = setInterval(() => {
+    expirePendingRequests().catch(err => {
+      console.error('Connection request expiry sweep error:', err);
+    });
+  }, SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  checkSendLimits,
+  recordSentRequest,
+  expirePendingRequests,
+  startRequestExpirySweep
+};
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const ExportJob = require('../models/ExportJob');
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const Block = require('../models/Block');
+const Invite = require('../models/Invite');
+const Notification = require('../models/Notification');
+const Cycle = require('../models/Cycle');
+const Location = require('../models/Location');
+const { sendToUser } = require('../config/socket');
+
+// How long a finished archive is kept on disk
+const ARCHIVE_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// How long a signed download URL stays valid
+const DOWNLOAD_URL_TTL = 15 * 60 * 1000; // 15 minutes
+
+// A running job that hasn't reported progress for this long is treated as dead
+const STALE_JOB_TIMEOUT = 10 * 60 * 1000; // 10 minutes
+
+// How often expired archives are removed
+const SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const getExportDir = () => process.env.EXPORT_DIR || path.join(process.cwd(), 'tmp', 'exports');
+
+const getSigningSecret = () => process.env.EXPORT_URL_SECRET || process.env.JWT_SECRET;
+
+// Report job progress to the user's devices
+const reportProgress = async (job, updates) => {
+  Object.assign(job, updates);
+  await job.save();
+
+  sendToUser(job.userId.toString(), 'export:progress', {
+    jobId: job._id,
+    status: job.status,
+    progress: job.progress
+  });
+};
+
+// Quote a value for CSV
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const str = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+// Build a CSV document from rows of plain objects
+const toCsv = (columns, rows) => {
+  const lines = [columns.join(',')];
+  for (const row of rows) {
+    lines.push(columns.map(column => csvValue(row[column])).join(','));
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Collect everything stored about a user, reporting progress along the way
+const collectUserData = async (job) => {
+  const userId = job.userId;
+
+  const user = await User.findById(userId).populate('currentStatus').lean();
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const profile = {
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    phone: user.phone,
+    gender: user.gender,
+    avatar: user.avatar,
+    timezone: user.timezone,
+    locale: user.locale,
+    birthday: user.birthday ? user.birthday.toISOString().split('T')[0] : null,
+    isPremium: user.isPremium,
+    isVerified: user.isVerified,
+    currentStatus: user.currentStatus
+      ? { name: user.currentStatus.name, emoji: user.currentStatus.emoji }
+      : null,
+    locationSharing: user.locationSharing,
+    devices: (user.devices || []).map(d => ({
+      deviceId: d.deviceId,
+      platform: d.platform,
+      appVersion: d.appVersion,
+      lastSeenAt: d.lastSeenAt
+    })),
+    lastActive: user.lastActive,
+    createdAt: user.createdAt
+  };
+  await reportProgress(job, { progress: 10 });
+
+  const connectionDocs = await Connection.find({
+    $or: [{ userId }, { connectedUserId: userId }]
+  })
+    .populate('userId', 'name')
+    .populate('connectedUserId', 'name')
+    .lean();
+
+  const connections = connectionDocs.map(c => {
+    const isRequester = c.userId?._id.toString() === userId.toString();
+    const other = isRequester ? c.connectedUserId : c.userId;
+    return {
+      id: c._id,
+      userName: other?.name || null,
+      type: c.type,
+      status: c.status,
+      nickname: c.nickname,
+      initiatedByMe: c.initiatedBy.toString() === userId.toString(),
+      createdAt: c.createdAt
+    };
+  });
+
+  // Only the user's own blocks; who blocked them stays private
+  const blockDocs = await Block.find({ blockerId: userId }).populate('blockedId', 'name').lean();
+  const blockedUsers = blockDocs.map(b => ({
+    userName: b.blockedId?.name || null,
+    blockedAt: b.createdAt
+  }));
+
+  const inviteDocs = await Invite.find({ inviterId: userId }).sort({ createdAt: 1 });
+  const invites = inviteDocs.map(i => ({
+    type: i.type,
+    channel: i.channel,
+    phone: i.phone,
+    email: i.email,
+    status: i.getDisplayStatus(),
+    createdAt: i.createdAt,
+    acceptedAt: i.acceptedAt
+  }));
+  await reportProgress(job, { progress: 25 });
+
+  const cycle = await Cycle.findOne({ userId }).lean();
+  await reportProgress(job, { progress: 45 });
+
+  const locations = await Location.find({ userId }).sort({ timestamp: 1 }).lean();
+  await reportProgress(job, { progress: 65 });
+
+  const notifications = await Notification.find({
+    $or: [{ senderId: userId }, { receiverId: userId }]
+  })
+    .sort({ createdAt: 1 })
+    .lean();
+  await reportProgress(job, { progress: 80 });
+
+  return {
+    profile,
+    customStatuses: user.customStatuses || [],
+    customNotifications: user.customNotifications || [],
+    connections,
+    blockedUsers,
+    invites,
+    cycle: cycle ? {
+      cycleLength: cycle.cycleLength,
+      periodLength: cycle.periodLength,
+      isTracking: cycle.isTracking,
+      periods: cycle.periods || [],
+      symptoms: cycle.symptoms || []
+    } : null,
+    locations: locations.filter(l => !l.isVisit),
+    visits: locations.filter(l => l.isVisit),
+    notifications: notifications.map(n => ({
+      id: n._id,
+      direction: n.senderId.toString() === userId.toString() ? 'sent' : 'received',
+      type: n.type,
+      title: n.title,
+      message: n.message,
+      isRead: n.isRead,
+      createdAt: n.createdAt
+    }))
+  };
+};
+
+// Write the collected data as a zip with one JSON file and a CSV per collection
+const writeArchive = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  const done = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+
+  archive.append(JSON.stringify({ exportedAt: new Date(), ...data }, null, 2), { name: 'data.json' });
+  archive.append(toCsv(['name', 'emoji', 'isPremium', 'createdAt'], data.customStatuses), { name: 'custom_statuses.csv' });
+  archive.append(toCsv(['title', 'message', 'isPremium', 'createdAt'], data.customNotifications), { name: 'custom_notifications.csv' });
+  archive.append(toCsv(['id', 'userName', 'type', 'status', 'nickname', 'initiatedByMe', 'createdAt'], data.connections), { name: 'connections.csv' });
+  archive.append(toCsv(['userName', 'blockedAt'], data.blockedUsers), { name: 'blocked_users.csv' });
+  archive.append(toCsv(['type', 'channel', 'phone', 'email', 'status', 'createdAt', 'acceptedAt'], data.invites), { name: 'invites.csv' });
+  archive.append(toCsv(['startDate', 'endDate', 'flow'], data.cycle?.periods || []), { name: 'cycle_periods.csv' });
+  archive.append(toCsv(['date', 'type', 'severity', 'notes'], data.cycle?.symptoms || []), { name: 'cycle_symptoms.csv' });
+  archive.append(toCsv(['timestamp', 'latitude', 'longitude', 'address', 'placeName'], data.locations), { name: 'locations.csv' });
+  archive.append(toCsv(['visitStartTime', 'visitEndTime', 'visitDuration', 'latitude', 'longitude', 'address', 'placeName'], data.visits), { name: 'visits.csv' });
+  archive.append(toCsv(['id', 'direction', 'type', 'title', 'message', 'isRead', 'createdAt'], data.notifications), { name: 'notifications.csv' });
+
+  await archive.finalize();
+  await done;
+
+  const stats = await fs.promises.stat(filePath);
+  return stats.size;
+};
+
+// Run an export job to completion
+const processExportJob = async (jobId) => {
+  const job = await ExportJob.findById(jobId);
+  if (!job || !job.isActive()) return;
+
+  try {
+    await reportProgress(job, { status: 'processing', progress: 0 });
+
+    const data = await collectUserData(job);
+
+    const filePath = path.join(getExportDir(), `${job._id}.zip`);
+    const fileSize = await writeArchive(filePath, data);
+
+    await reportProgress(job, {
+      status: 'completed',
+      progress: 100,
+      filePath,
+      fileSize,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + ARCHIVE_TTL)
+    });
+  } catch (error) {
+    console.error(`Export job ${job._id} failed:`, error);
+    await reportProgress(job, { status: 'failed', error: error.message });
+  }
+};
+
+// Start an export for a user, or return the one already running
+const startExport = async (userId) => {
+  const running = await ExportJob.findOne({
+    userId,
+    status: { $in: ['pending', 'processing'] }
+  });
+  if (running) {
+    if (Date.now() - running.updatedAt.getTime() < STALE_JOB_TIMEOUT) {
+      return { job: running, created: false };
+    }
+    running.status = 'failed';
+    running.error = 'Export interrupted';
+    await running.save();
+  }
+
+  const job = await ExportJob.create({
+    userId,
+    expiresAt: new Date(Date.now() + ARCHIVE_TTL)
+  });
+
+  setImmediate(() => {
+    processExportJob(job._id).catch(err => {
+      console.error('Export job error:', err);
+    });
+  });
+
+  return { job, created: true };
+};
+
+const signDownload = (jobId, expires) => {
+  return crypto
+    .createHmac('sha256', getSigningSecret())
+    .update(`${jobId}.${expires}`)
+    .digest('hex');
+};
+
+// Create a short-lived signed URL for a completed export
+const createDownloadUrl = (job) => {
+  const expires = Date.now() + DOWNLOAD_URL_TTL;
+  const signature = signDownload(job._id.toString(), expires);
+
+  return {
+    url: `${process.env.API_URL || ''}/api/export/${job._id}/download?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires)
+  };
+};
+
+// Check a download URL signature and expiry
+const verifyDownloadSignature = (jobId, expires, signature) => {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || expiresAt < Date.now() || typeof signature !== 'string') {
+    return false;
+  }
+
+  const expected = Buffer.from(signDownload(jobId, expiresAt));
+  const provided = Buffer.from(signature);
+
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+};
+
+// Remove an export's archive and document
+const removeExport = async (job) => {
+  if (job.filePath) {
+    await fs.promises.rm(job.filePath, { force: true });
+  }
+  await ExportJob.deleteOne({ _id: job._id });
+};
+
+// Remove all exports of a user (used by account deletion)
+const deleteUserExports = async (userId) => {
+  const jobs = await ExportJob.find({ userId });
+  for (const job of jobs) {
+    await removeExport(job);
+  }
+};
+
+// Remove archives past their expiry
+const purgeExpiredExports = async () => {
+  const jobs = await ExportJob.find({ expiresAt: { $lte: new Date() } });
+  for (const job of jobs) {
+    try {
+      await removeExport(job);
+    } catch (error) {
+      console.error(`Export cleanup error for ${job._id}:`, error);
+    }
+  }
+  return jobs.length;
+};
+
+// Periodically remove expired archives
+const startExportCleanup = () => {
+  const timer = setInterval(() => {
+    purgeExpiredExports().catch(err => {
+      console.error('Export cleanup sweep error:', err);
+    });
+  }, SWEEP_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  startExport,
+  processExportJob,
+  createDownloadUrl,
+  verifyDownloadSignature,
+  deleteUserExports,
+  purgeExpiredExports,
+  startExportCleanup
+};
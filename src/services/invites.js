@@ -0,0 +1,224 @@
+const QRCode = require('qrcode');
+const Invite = require('../models/Invite');
+const Connection = require('../models/Connection');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { CacheService } = require('./cache');
+const { normalizePhone } = require('./phone');
+const { consume } = require('./rateLimit');
+const { sendPushToUser } = require('./push');
+const { getAppUrl, sendInviteEmail } = require('./mail');
+const { sendInviteSms } = require('./sms');
+const { sendToUser } = require('../config/socket');
+
+// Invites one user may create per day
+const DAILY_INVITE_LIMIT = 20;
+
+const RELATION_LABELS = {
+  partner: 'partner',
+  close_friend: 'close friend'
+};
+
+// Deep link the app opens to sign up with an invite
+const getInviteUrl = (token) => `${getAppUrl()}/invite?token=${encodeURIComponent(token)}`;
+
+// Invite as shown to the person who sent it
+const formatInvite = (invite) => ({
+  id: invite._id,
+  type: invite.type,
+  channel: invite.channel,
+  phone: invite.phone,
+  email: invite.email,
+  status: invite.getDisplayStatus(),
+  acceptedBy: invite.acceptedBy && invite.acceptedBy.name
+    ? { id: invite.acceptedBy._id, name: invite.acceptedBy.name, avatar: invite.acceptedBy.avatar }
+    : null,
+  acceptedAt: invite.acceptedAt,
+  connectionId: invite.connectionId,
+  expiresAt: invite.expiresAt,
+  createdAt: invite.createdAt
+});
+
+// Create an invite and send it by SMS or email. Link invites are shared by the inviter.
+// Returns { success, invite, url, qrCode } or { success: false, error, code, retryAfter }
+const createInvite = async (inviter, { type, channel, phone, email }) => {
+  // Every attempt counts, so the existing-account check can't be used to probe numbers
+  const limit = await consume('invite-sender', inviter._id.toString(), DAILY_INVITE_LIMIT, 24 * 60 * 60);
+  if (!limit.allowed) {
+    return { success: false, error: 'Too many invites. Please try again later', code: 'RATE_LIMITED', retryAfter: limit.retryAfter };
+  }
+
+  let target = {};
+
+  if (channel === 'phone') {
+    const normalized = normalizePhone(phone);
+    if (!normalized) {
+      return { success: false, error: 'Invalid phone number', code: 'INVALID_PHONE' };
+    }
+    target = { phone: normalized };
+  } else if (channel === 'email') {
+    if (!email || !email.includes('@')) {
+      return { success: false, error: 'Invalid email address', code: 'INVALID_EMAIL' };
+    }
+    target = { email: email.trim().toLowerCase() };
+  }
+
+  if (target.phone || target.email) {
+    // Only reveal an existing account when search would find it too
+    const existingUser = await User.exists({
+      ...(target.phone
+        ? { phoneNormalized: target.phone, 'privacy.discoverableByPhone': { $ne: false } }
+        : { email: target.email, emailVerified: true, 'privacy.discoverableByEmail': { $ne: false } }),
+      isVerified: true,
+      _id: { $nin: await Block.getHiddenUserIds(inviter._id) }
+    });
+    if (existingUser) {
+      return {
+        success: false,
+        error: 'This person is already on Couple App. Send them a connection request instead.',
+        code: 'ALREADY_REGISTERED'
+      };
+    }
+
+    const existingInvite = await Invite.findOne({ inviterId: inviter._id, ...target, status: 'pending' });
+    if (existingInvite && existingInvite.isActive()) {
+      return { success: false, error: 'You have already invited this person', code: 'ALREADY_INVITED' };
+    }
+  }
+
+  if (type === 'partner' && await Connection.hasPartner(inviter._id)) {
+    return { success: false, error: 'You already have a partner', code: 'ALREADY_HAS_PARTNER' };
+  }
+
+  const { token, invite } = await Invite.generate(inviter._id, { type, channel, ...target });
+  const url = getInviteUrl(token);
+  const qrCode = await QRCode.toDataURL(url);
+
+  if (channel === 'phone') {
+    await sendInviteSms(target.phone, inviter.name, url);
+  } else if (channel === 'email') {
+    await sendInviteEmail(target.email, inviter.name, url, RELATION_LABELS[type], Invite.EXPIRY_DAYS);
+  }
+
+  return { success: true, invite, url, qrCode };
+};
+
+// Create the connection an invite asked for. Returns the connection, or null when
+// the invite can no longer be honoured (inviter gone, blocked, already connected, partner taken).
+const redeemInvite = async (invite, user) => {
+  const inviter = await User.findById(invite.inviterId);
+  if (!inviter || inviter.isBanned() || inviter._id.equals(user._id)) return null;
+
+  // One connection per pair; other invites from the same person are left to expire
+  const existing = await Connection.exists({
+    $or: [
+      { userId: inviter._id, connectedUserId: user._id },
+      { userId: user._id, connectedUserId: inviter._id }
+    ]
+  });
+  if (existing) return null;
+
+  if (await Block.isBlockedBetween(inviter._id, user._id)) return null;
+
+  if (invite.type === 'partner' &&
+      (await Connection.hasPartner(inviter._id) || await Connection.hasPartner(user._id))) {
+    return null;
+  }
+
+  // Claim the invite first so it can't be redeemed twice
+  const claimed = await Invite.findOneAndUpdate(
+    { _id: invite._id, status: 'pending' },
+    { status: 'accepted', acceptedBy: user._id, acceptedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  const connection = await Connection.create({
+    userId: inviter._id,
+    connectedUserId: user._id,
+    type: invite.type,
+    status: 'accepted',
+    initiatedBy: inviter._id
+  });
+
+  claimed.connectionId = connection._id;
+  await claimed.save();
+
+  await CacheService.invalidateConnectionPair(inviter._id.toString(), user._id.toString());
+
+  sendToUser(inviter._id.toString(), 'invite:accepted', {
+    id: invite._id,
+    connection: {
+      id: connection._id,
+      type: connection.type,
+      status: connection.status
+    },
+    user: {
+      id: user._id,
+      name: user.name,
+      avatar: user.avatar
+    }
+  });
+
+  await sendPushToUser(
+    inviter,
+    'Invite Accepted',
+    `${user.name} joined and is now your ${RELATION_LABELS[invite.type]}`,
+    { type: 'invite_accepted', connectionId: connection._id.toString() }
+  );
+
+  return connection;
+};
+
+// Redeem the invite token a user signed up with, plus pending invites sent to
+// their phone number or email. An identifier only counts once it is verified:
+// the phone when the caller has just proven it, the email once the address
+// itself is proven. Until then invites sent to it wait, so nobody can claim
+// them by registering someone else's address.
+const redeemInvites = async (user, { token, phoneVerified = false } = {}) => {
+  const matches = [];
+
+  if (token) {
+    const invite = await Invite.findByToken(token);
+    if (invite && invite.isActive()) {
+      matches.push(invite);
+    }
+  }
+
+  const identifiers = [];
+  if (phoneVerified && user.phoneNormalized) identifiers.push({ phone: user.phoneNormalized });
+  if (user.emailVerified && user.email) identifiers.push({ email: user.email });
+
+  if (identifiers.length > 0) {
+    const invites = await Invite.find({
+      $or: identifiers,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: 1 });
+
+    for (const invite of invites) {
+      if (matches.some(m => m._id.equals(invite._id))) continue;
+      matches.push(invite);
+    }
+  }
+
+  const connections = [];
+  for (const invite of matches) {
+    // A failed invite shouldn't fail the sign-up it is part of
+    try {
+      const connection = await redeemInvite(invite, user);
+      if (connection) connections.push(connection);
+    } catch (error) {
+      console.error('Redeem invite error:', error);
+    }
+  }
+
+  return connections;
+};
+
+module.exports = {
+  getInviteUrl,
+  formatInvite,
+  createInvite,
+  redeemInvites
+};
@@ -1,8 +1,9 @@
 const Location = require('../models/Location');
 const Connection = require('../models/Connection');
 const User = require('../models/User');
+const Block = require('../models/Block');
 const { sendToUsers } = require('../config/socket');
-const { sendPushNotification } = require('./push');
+const { sendPushToUser } = require('./push');
 
 // Minimum time at a location to be considered a "visit" (in milliseconds)
 const VISIT_THRESHOLD = 5 * 60 * 1000; // 5 minutes
@@ -116,18 +117,16 @@ const notifyConnectedUsers = async (userId, location) => {
     // Send push notification for visits
     if (location.isVisit && location.placeName) {
       for (const connectedUser of connectedUsers) {
-        if (connectedUser.fcmToken) {
-          await sendPushNotification(
-            connectedUser.fcmToken,
-            `${user.name} arrived`,
-            `${user.name} arrived at ${location.placeName}`,
-            {
-              type: 'location_visit',
-              userId: userId.toString(),
-              locationId: location._id.toString()
-            }
-          );
-        }
+        await sendPushToUser(
+          connectedUser,
+          `${user.name} arrived`,
+          `${user.name} arrived at ${location.placeName}`,
+          {
+            type: 'location_visit',
+            userId: userId.toString(),
+            locationId: location._id.toString()
+          }
+        );
       }
     }
   } catch (error) {
@@ -135,6 +134,20 @@ const notifyConnectedUsers = async (userId, location) => {
   }
 };
 
+// Pass a live position sent over the socket to the people the user shares location with.
+// Blocked users never receive it, even if a stale entry is left in the sharing list.
+const relayLiveLocation = async (userId, data) => {
+  const user = await User.findById(userId).select('locationSharing');
+  if (!user || !user.locationSharing.enabled) return;
+
+  const hiddenIds = new Set((await Block.getHiddenUserIds(userId)).map(id => id.toString()));
+  const viewerIds = user.locationSharing.shareWith
+    .map(id => id.toString())
+    .filter(id => !hiddenIds.has(id));
+
+  sendToUsers(viewerIds, `location:${userId}`, data);
+};
+
 // Get users who can see location
 const getLocationViewers = async (userId) => {
   const user = await User.findById(userId);
@@ -157,6 +170,7 @@ const updateLocationSharing = async (userId, enabled, shareWith = []) => {
 
 module.exports = {
   processLocationUpdate,
+  relayLiveLocation,
   calculateDistance,
   getLocationViewers,
   updateLocationSharing,
@@ -0,0 +1,170 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Provider is picked from MAIL_PROVIDER: 'smtp' in production, 'console' or 'file' for local development
+// Outside production it falls back to 'console'. In production it must be set, so codes and
+// links are never written to the logs by accident.
+const getProvider = () => {
+  if (process.env.MAIL_PROVIDER) return process.env.MAIL_PROVIDER.toLowerCase();
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+if (!getProvider()) {
+  console.error('MAIL_PROVIDER is not set. No mail will be sent until it is configured.');
+}
+
+const getFromAddress = () => process.env.MAIL_FROM || 'Couple App <no-reply@couple-app.com>';
+
+const getAppUrl = () => process.env.APP_URL || 'https://couple-app.com';
+
+let smtpTransport;
+
+// Log the mail to stdout (default for development)
+const sendViaConsole = async (mail) => {
+  console.log('[DEV] Email:', { to: mail.to, subject: mail.subject, text: mail.text });
+  return { success: true, message: 'Email logged (no mail provider configured)' };
+};
+
+// Append the mail to a local file so links can be followed without a real mail server
+const sendViaFile = async (mail) => {
+  const filePath = process.env.MAIL_FILE_PATH || path.join(process.cwd(), 'tmp', 'mail.log');
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(
+    filePath,
+    `${JSON.stringify({ ...mail, sentAt: new Date().toISOString() })}\n`
+  );
+
+  return { success: true, message: `Email written to ${filePath}` };
+};
+
+// Send through an SMTP server
+const sendViaSmtp = async (mail) => {
+  if (!smtpTransport) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP not configured');
+    }
+
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD
+      } : undefined
+    });
+  }
+
+  const info = await smtpTransport.sendMail(mail);
+  return { success: true, messageId: info.messageId };
+};
+
+const providers = {
+  console: sendViaConsole,
+  file: sendViaFile,
+  smtp: sendViaSmtp
+};
+
+// Send an email through the configured provider
+const sendMail = async ({ to, subject, text, html }) => {
+  const provider = providers[getProvider()];
+
+  if (!provider) {
+    console.error(getProvider() ? `Unknown mail provider: ${getProvider()}` : 'MAIL_PROVIDER is not set');
+    return { success: false, error: 'Mail provider not configured' };
+  }
+
+  try {
+    return await provider({ from: getFromAddress(), to, subject, text, html });
+  } catch (error) {
+    console.error('Error sending email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send password reset link
+const sendPasswordResetEmail = async (to, name, token) => {
+  const resetUrl = `${getAppUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return await sendMail({
+    to,
+    subject: 'Reset your Couple App password',
+    text: `Hi ${name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${resetUrl}\n\nThe link expires in 1 hour. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Let the user know their password changed
+const sendPasswordChangedEmail = async (to, name) => {
+  return await sendMail({
+    to,
+    subject: 'Your Couple App password was changed',
+    text: `Hi ${name},\n\nThe password for your Couple App account was just changed and all other devices were signed out.\n\nIf this wasn't you, reset your password right away from the login screen.`
+  });
+};
+
+// Send email address verification link
+const sendVerificationEmail = async (to, name, token) => {
+  const verifyUrl = `${getAppUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return await sendMail({
+    to,
+    subject: 'Confirm your email for Couple App',
+    text: `Hi ${name},\n\nPlease confirm your email address by opening the link below:\n\n${verifyUrl}\n\nThe link expires in 24 hours. Until you confirm, other people won't be able to find you or send you connection requests.`
+  });
+};
+
+// Warn the owner that repeated failed sign-ins locked their account
+const sendAccountLockedEmail = async (to, name, retryAfterSeconds) => {
+  const minutes = Math.ceil(retryAfterSeconds / 60);
+
+  return await sendMail({
+    to,
+    subject: 'Sign-in to your Couple App account was paused',
+    text: `Hi ${name},\n\nWe noticed several failed attempts to sign in to your account, so sign-in is paused for ${minutes} minute${minutes === 1 ? '' : 's'}.\n\nIf this wasn't you, we recommend resetting your password from the login screen and turning on two-factor authentication.`
+  });
+};
+
+// Send the confirmation link for a new email address
+const sendEmailChangeConfirmation = async (to, name, token) => {
+  const confirmUrl = `${getAppUrl()}/confirm-email-change?token=${encodeURIComponent(token)}`;
+
+  return await sendMail({
+    to,
+    subject: 'Confirm your new email for Couple App',
+    text: `Hi ${name},\n\nPlease confirm that you want to use this address for your Couple App account:\n\n${confirmUrl}\n\nThe link expires in 24 hours. If you didn't ask for this, you can ignore this email.`
+  });
+};
+
+// Tell the previous address about an email change, with a link to undo it
+const sendEmailChangedNotice = async (to, name, newEmail, undoToken) => {
+  const undoUrl = `${getAppUrl()}/undo-email-change?token=${encodeURIComponent(undoToken)}`;
+
+  return await sendMail({
+    to,
+    subject: 'Your Couple App email was changed',
+    text: `Hi ${name},\n\nThe email address on your Couple App account was changed to ${newEmail}.\n\nIf this wasn't you, open the link below within 7 days to restore this address and sign out all devices:\n\n${undoUrl}`
+  });
+};
+
+// Invite someone who isn't on Couple App yet
+const sendInviteEmail = async (to, inviterName, inviteUrl, relation, expiryDays) => {
+  return await sendMail({
+    to,
+    subject: `${inviterName} invited you to Couple App`,
+    text: `Hi,\n\n${inviterName} would like to connect with you as their ${relation} on Couple App. Open the link below to join:\n\n${inviteUrl}\n\nThe invite expires in ${expiryDays} days.`
+  });
+};
+
+module.exports = {
+  getAppUrl,
+  sendMail,
+  sendVerificationEmail,
+  sendEmailChangeConfirmation,
+  sendEmailChangedNotice,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail,
+  sendAccountLockedEmail,
+  sendInviteEmail
+};
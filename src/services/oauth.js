@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+
+// Key sets are cached and refetched when a token names an unknown key
+const JWKS_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000; // 1 minute
+
+// Supported identity providers. JWKS locations can point at the provider
+// (https://...) or at a local key set (file:///path/keys.json or a plain path).
+const providers = {
+  google: {
+    issuers: ['https://accounts.google.com', 'accounts.google.com'],
+    getJwksUrl: () => process.env.GOOGLE_JWKS_URL || 'https://www.googleapis.com/oauth2/v3/certs',
+    getClientIds: () => process.env.GOOGLE_CLIENT_IDS
+  },
+  apple: {
+    issuers: ['https://appleid.apple.com'],
+    getJwksUrl: () => process.env.APPLE_JWKS_URL || 'https://appleid.apple.com/auth/keys',
+    getClientIds: () => process.env.APPLE_CLIENT_IDS
+  }
+};
+
+const jwksCache = new Map();
+
+const isSupportedProvider = (provider) => Object.prototype.hasOwnProperty.call(providers, provider);
+
+// Load a key set from a URL or a local file
+const loadJwks = async (location) => {
+  if (/^https?:\/\//.test(location)) {
+    const response = await fetch(location);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with status ${response.status}`);
+    }
+    return await response.json();
+  }
+
+  const filePath = location.startsWith('file://') ? new URL(location) : location;
+  return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+};
+
+// Find the public key for a key id, refreshing the cached key set if needed
+const getSigningKey = async (location, kid) => {
+  let cached = jwksCache.get(location);
+  const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+  const hasKey = cached && cached.keys.some(k => k.kid === kid);
+
+  if (age > JWKS_CACHE_TTL || (!hasKey && age > JWKS_MIN_REFRESH_INTERVAL)) {
+    const jwks = await loadJwks(location);
+    cached = { keys: jwks.keys || [], fetchedAt: Date.now() };
+    jwksCache.set(location, cached);
+  }
+
+  const jwk = cached.keys.find(k => k.kid === kid);
+  return jwk ? crypto.createPublicKey({ key: jwk, format: 'jwk' }) : null;
+};
+
+// Verify a provider ID token
+// Returns { success, profile: { provider, subject, email, emailVerified, name } } or { success: false, error }
+const verifyIdToken = async (provider, idToken) => {
+  const config = providers[provider];
+  if (!config) {
+    return { success: false, error: 'Unsupported provider' };
+  }
+
+  const clientIds = (config.getClientIds() || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (clientIds.length === 0) {
+    return { success: false, error: `${provider} sign-in is not configured` };
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || !decoded.header.kid) {
+    return { success: false, error: 'Invalid ID token' };
+  }
+
+  let key;
+  try {
+    key = await getSigningKey(config.getJwksUrl(), decoded.header.kid);
+  } catch (error) {
+    console.error(`JWKS load error (${provider}):`, error.message);
+    return { success: false, error: 'Could not verify ID token' };
+  }
+
+  if (!key) {
+    return { success: false, error: 'Invalid ID token' };
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ['RS256'],
+      audience: clientIds,
+      issuer: config.issuers
+    });
+  } catch (error) {
+    return { success: false, error: 'Invalid ID token' };
+  }
+
+  if (!claims.sub) {
+    return { success: false, error: 'Invalid ID token' };
+  }
+
+  return {
+    success: true,
+    profile: {
+      provider,
+      subject: claims.sub,
+      email: claims.email ? claims.email.toLowerCase() : null,
+      // Apple sends the flag as a string
+      emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+      name: claims.name || null,
+      issuedAt: claims.iat ? new Date(claims.iat * 1000) : null
+    }
+  };
+};
+
+module.exports = {
+  isSupportedProvider,
+  verifyIdToken
+};
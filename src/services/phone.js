@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+const User = require('../models/User');
+
+// Region assumed for numbers written without a country code
+const getDefaultRegion = () => (process.env.DEFAULT_PHONE_REGION || 'US').toUpperCase();
+
+// Server-side key for stored phone hashes. It never leaves the server, so the
+// hashes can't be reversed by hashing every possible number without it.
+if (!process.env.PHONE_HASH_SALT) {
+  throw new Error('PHONE_HASH_SALT must be set to a secret key for contact sync hashing');
+}
+const getHashKey = () => process.env.PHONE_HASH_SALT;
+
+// Normalise a phone number to E.164 (+15551234567). Returns null if it can't be a phone number.
+const normalizePhone = (phone, region = getDefaultRegion()) => {
+  if (!phone || typeof phone !== 'string') return null;
+
+  const parsed = parsePhoneNumberFromString(phone, region);
+  return parsed && parsed.isPossible() ? parsed.number : null;
+};
+
+// Plain SHA-256 of an E.164 number, hex encoded. This is what clients upload.
+const digestPhone = (e164) => {
+  return crypto.createHash('sha256').update(e164).digest('hex');
+};
+
+// Keyed hash of a client digest, as stored on users and matched against
+const keyPhoneDigest = (digest) => {
+  return crypto.createHmac('sha256', getHashKey()).update(digest.toLowerCase()).digest('hex');
+};
+
+// Stored hash of an E.164 number
+const hashPhone = (e164) => keyPhoneDigest(digestPhone(e164));
+
+// Fill in normalised phones and hashes for users saved before they existed,
+// or after the key changed. Runs in batches so startup isn't blocked.
+const backfillPhoneHashes = async (batchSize = 500) => {
+  let updated = 0;
+  let lastId = null;
+
+  for (;;) {
+    const query = { phone: { $exists: true, $ne: null } };
+    if (lastId) query._id = { $gt: lastId };
+
+    const users = await User.find(query)
+      .sort({ _id: 1 })
+      .limit(batchSize)
+      .select('phone phoneNormalized phoneHash');
+    if (users.length === 0) break;
+
+    const operations = [];
+    for (const user of users) {
+      const phoneNormalized = normalizePhone(user.phone);
+      const phoneHash = phoneNormalized ? hashPhone(phoneNormalized) : null;
+      if (user.phoneNormalized !== phoneNormalized || user.phoneHash !== phoneHash) {
+        operations.push({
+          updateOne: { filter: { _id: user._id }, update: { phoneNormalized, phoneHash } }
+        });
+      }
+    }
+
+    if (operations.length > 0) {
+      await User.bulkWrite(operations);
+      updated += operations.length;
+    }
+    lastId = users[users.length - 1]._id;
+  }
+
+  if (updated > 0) {
+    console.log(`Phone hash backfill: updated ${updated} users`);
+  }
+  return updated;
+};
+
+module.exports = {
+  getDefaultRegion,
+  normalizePhone,
+  digestPhone,
+  keyPhoneDigest,
+  hashPhone,
+  backfillPhoneHashes
+};
@@ -0,0 +1,126 @@
+const User = require('../models/User');
+const Connection = require('../models/Connection');
+const { CacheService } = require('./cache');
+
+// A user is online while at least one of their sockets is open on this server
+const onlineSockets = new Map(); // userId -> Set of socket ids
+const offlineTimers = new Map();
+const lastPersisted = new Map();
+
+// Going offline waits this long so a quick reconnect doesn't flicker
+const OFFLINE_GRACE_PERIOD = 10 * 1000; // 10 seconds
+
+// While connected, heartbeats write lastActive at most this often
+const HEARTBEAT_INTERVAL = 60 * 1000; // 1 minute
+
+const isOnline = (userId) => onlineSockets.has(userId.toString());
+
+// What connections see of a user's presence, for a user loaded with privacy and lastActive.
+// If the query didn't select `privacy`, the user appears offline.
+const getPresence = (user) => {
+  const privacy = user.isSelected('privacy') ? user.privacy : null;
+  return {
+    isOnline: !!privacy?.showOnlineStatus && isOnline(user._id),
+    lastActive: user.getSharedDetails().lastActive
+  };
+};
+
+const persistLastActive = async (userId) => {
+  lastPersisted.set(userId, Date.now());
+  await User.updateOne({ _id: userId }, { lastActive: new Date() });
+};
+
+const getConnectedUserIds = async (userId) => {
+  const connections = await Connection.find({
+    $or: [
+      { userId, status: 'accepted' },
+      { connectedUserId: userId, status: 'accepted' }
+    ]
+  }).select('userId connectedUserId');
+
+  return connections.map(c => (c.userId.toString() === userId.toString() ? c.connectedUserId : c.userId).toString());
+};
+
+// Send a user's current presence to their accepted connections
+const publishPresence = async (user) => {
+  const connectedUserIds = await getConnectedUserIds(user._id);
+  if (connectedUserIds.length === 0) return;
+
+  // Connection lists include presence
+  await Promise.all(connectedUserIds.map(id => CacheService.invalidateConnections(id)));
+
+  // Required here: the socket server loads this module
+  const { sendToUsers } = require('../config/socket');
+  sendToUsers(connectedUserIds, 'presence:update', {
+    userId: user._id.toString(),
+    ...getPresence(user)
+  });
+};
+
+// Record an online/offline change, announcing it unless the user hides their status
+const presenceChanged = async (userId) => {
+  try {
+    await persistLastActive(userId);
+
+    const user = await User.findById(userId).select('lastActive privacy');
+    if (!user || !user.privacy.showOnlineStatus) return;
+
+    await publishPresence(user);
+  } catch (error) {
+    console.error('Presence update error:', error);
+  }
+};
+
+// A socket opened; the first one brings the user online
+const userConnected = async (userId, socketId) => {
+  clearTimeout(offlineTimers.get(userId));
+  offlineTimers.delete(userId);
+
+  const wasOnline = onlineSockets.has(userId);
+  if (!wasOnline) onlineSockets.set(userId, new Set());
+  onlineSockets.get(userId).add(socketId);
+
+  if (!wasOnline) {
+    await presenceChanged(userId);
+  }
+};
+
+// A socket closed; once the last one has been gone for the grace period the user is offline
+const userDisconnected = (userId, socketId) => {
+  const sockets = onlineSockets.get(userId);
+  if (!sockets) return;
+
+  sockets.delete(socketId);
+  if (sockets.size > 0) return;
+
+  const timer = setTimeout(async () => {
+    offlineTimers.delete(userId);
+    if (onlineSockets.get(userId)?.size) return;
+
+    onlineSockets.delete(userId);
+    lastPersisted.delete(userId);
+    await presenceChanged(userId);
+  }, OFFLINE_GRACE_PERIOD);
+  timer.unref();
+  offlineTimers.set(userId, timer);
+};
+
+// Client heartbeat while the app is in use; keeps lastActive current without a write per beat
+const heartbeat = async (userId) => {
+  if (Date.now() - (lastPersisted.get(userId) || 0) < HEARTBEAT_INTERVAL) return;
+
+  try {
+    await persistLastActive(userId);
+  } catch (error) {
+    console.error('Presence heartbeat error:', error);
+  }
+};
+
+module.exports = {
+  isOnline,
+  getPresence,
+  publishPresence,
+  userConnected,
+  userDisconnected,
+  heartbeat
+};
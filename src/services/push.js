@@ -1,4 +1,5 @@
 const admin = require('firebase-admin');
+const User = require('../models/User');
 
 // Initialize Firebase Admin (only if credentials are available)
 let firebaseInitialized = false;
@@ -53,6 +54,12 @@ const sendPushNotification = async (fcmToken, title, body, data = {}) => {
   }
 };
 
+// FCM error codes meaning the token will never work again
+const INVALID_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token'
+];
+
 // Send push notification to multiple devices
 const sendMultiplePushNotifications = async (fcmTokens, title, body, data = {}) => {
   if (!firebaseInitialized) {
@@ -78,10 +85,17 @@ const sendMultiplePushNotifications = async (fcmTokens, title, body, data = {})
     };
 
     const response = await admin.messaging().sendEachForMulticast(message);
+
+    // Tokens FCM no longer recognises (app uninstalled, token rotated)
+    const invalidTokens = response.responses
+      .map((r, i) => (!r.success && INVALID_TOKEN_ERRORS.includes(r.error?.code) ? fcmTokens[i] : null))
+      .filter(Boolean);
+
     return {
       success: true,
       successCount: response.successCount,
-      failureCount: response.failureCount
+      failureCount: response.failureCount,
+      invalidTokens
     };
   } catch (error) {
     console.error('Error sending multiple push notifications:', error);
@@ -89,6 +103,26 @@ const sendMultiplePushNotifications = async (fcmTokens, title, body, data = {})
   }
 };
 
+// Send push notification to every registered device of a user
+const sendPushToUser = async (user, title, body, data = {}) => {
+  const fcmTokens = user.getFcmTokens();
+  if (fcmTokens.length === 0) {
+    return { success: false, error: 'No FCM tokens registered' };
+  }
+
+  const result = await sendMultiplePushNotifications(fcmTokens, title, body, data);
+
+  // Forget devices whose tokens are dead
+  if (result.invalidTokens?.length > 0) {
+    await User.updateOne(
+      { _id: user._id },
+      { $pull: { devices: { fcmToken: { $in: result.invalidTokens } } } }
+    );
+  }
+
+  return result;
+};
+
 // Send data-only notification (for background processing)
 const sendDataNotification = async (fcmToken, data) => {
   if (!firebaseInitialized) {
@@ -146,11 +180,42 @@ const verifyFirebaseIdToken = async (idToken) => {
 // Check if Firebase is initialized
 const isFirebaseInitialized = () => firebaseInitialized;
 
+// Move push tokens saved in the old single fcmToken field into the device registry,
+// so existing installs keep getting pushes before the app registers its device.
+// The field is no longer in the schema, so it is read and cleared outside of it.
+const migrateLegacyFcmTokens = async () => {
+  const users = await User.aggregate([
+    { $match: { fcmToken: { $type: 'string', $ne: '' } } },
+    { $project: { fcmToken: 1, devices: 1 } }
+  ]);
+
+  let migrated = 0;
+  for (const user of users) {
+    const alreadyRegistered = (user.devices || []).some(d => d.fcmToken === user.fcmToken);
+    const update = { $unset: { fcmToken: '' } };
+    if (!alreadyRegistered) {
+      // Replaced once the app registers with its real device id and the same token
+      update.$push = {
+        devices: { deviceId: 'legacy', platform: null, appVersion: null, fcmToken: user.fcmToken, lastSeenAt: new Date() }
+      };
+      migrated++;
+    }
+    await User.collection.updateOne({ _id: user._id }, update);
+  }
+
+  if (migrated > 0) {
+    console.log(`Legacy FCM token migration: moved ${migrated} tokens`);
+  }
+  return migrated;
+};
+
 module.exports = {
   initializeFirebase,
   sendPushNotification,
   sendMultiplePushNotifications,
+  sendPushToUser,
   sendDataNotification,
   verifyFirebaseIdToken,
-  isFirebaseInitialized
+  isFirebaseInitialized,
+  migrateLegacyFcmTokens
 };
@@ -0,0 +1,152 @@
+const { CacheService } = require('./cache');
+const { sendPushToUser } = require('./push');
+const { sendAccountLockedEmail } = require('./mail');
+
+// Failures are counted over this window
+const FAILURE_WINDOW = 15 * 60; // 15 minutes
+
+// Failures before an identifier is locked
+const MAX_ACCOUNT_FAILURES = 5;
+const MAX_IP_FAILURES = 20;
+
+// Lock duration doubles with every lock in the history window, up to the max
+const BASE_LOCK_DURATION = 5 * 60; // 5 minutes
+const MAX_LOCK_DURATION = 24 * 60 * 60; // 24 hours
+const LOCK_HISTORY_WINDOW = 24 * 60 * 60; // 24 hours
+
+// Below the lock threshold each failure adds a short, doubling delay
+const BACKOFF_START = 2;
+const MAX_BACKOFF = 60; // 1 minute
+
+const LOCK_TYPE_BACKOFF = 1;
+const LOCK_TYPE_LOCKED = 2;
+
+const key = (kind, scope, type, id) => `rl:${kind}:${scope}:${type}:${String(id).toLowerCase()}`;
+
+// List the identifiers (ip, account) a request is tracked under
+const getIdentifiers = ({ ip, account }) => {
+  const identifiers = [];
+  if (ip) identifiers.push({ type: 'ip', id: ip, maxFailures: MAX_IP_FAILURES });
+  if (account) identifiers.push({ type: 'account', id: account, maxFailures: MAX_ACCOUNT_FAILURES });
+  return identifiers;
+};
+
+// Count a request against a fixed window
+// Returns { allowed, retryAfter }
+const consume = async (name, id, max, windowSeconds) => {
+  const counterKey = key('hits', name, 'ip', id);
+  const count = await CacheService.increment(counterKey, windowSeconds);
+
+  if (count <= max) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const retryAfter = await CacheService.getCounterTtl(counterKey);
+  return { allowed: false, retryAfter: retryAfter || windowSeconds };
+};
+
+// Check a fixed window without counting against it
+// Returns { allowed, retryAfter }
+const peek = async (name, id, max) => {
+  const counterKey = key('hits', name, 'ip', id);
+  const count = await CacheService.getCounter(counterKey);
+
+  if (count < max) {
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  const retryAfter = await CacheService.getCounterTtl(counterKey);
+  return { allowed: false, retryAfter: retryAfter || 1 };
+};
+
+// Check whether any of the identifiers is locked or backing off
+// Returns { locked, retryAfter, code }
+const getLock = async (scope, identifiers) => {
+  let result = { locked: false, retryAfter: 0, code: null };
+
+  for (const { type, id } of getIdentifiers(identifiers)) {
+    const lockKey = key('lock', scope, type, id);
+    const lockType = await CacheService.getCounter(lockKey);
+    if (!lockType) continue;
+
+    const retryAfter = await CacheService.getCounterTtl(lockKey);
+    if (retryAfter > result.retryAfter) {
+      result = {
+        locked: true,
+        retryAfter,
+        code: type === 'account' && lockType === LOCK_TYPE_LOCKED ? 'ACCOUNT_LOCKED' : 'RATE_LIMITED'
+      };
+    }
+  }
+
+  return result;
+};
+
+// Record a failed attempt. Locks identifiers that reach their threshold.
+// Returns { accountLocked, retryAfter } - accountLocked is true only when this failure triggered the lock.
+const recordFailure = async (scope, identifiers) => {
+  const result = { accountLocked: false, retryAfter: 0 };
+
+  for (const { type, id, maxFailures } of getIdentifiers(identifiers)) {
+    const failureKey = key('fail', scope, type, id);
+    const failures = await CacheService.increment(failureKey, FAILURE_WINDOW);
+
+    if (failures >= maxFailures) {
+      const level = await CacheService.increment(key('level', scope, type, id), LOCK_HISTORY_WINDOW);
+      const duration = Math.min(BASE_LOCK_DURATION * 2 ** (level - 1), MAX_LOCK_DURATION);
+
+      await CacheService.setCounter(key('lock', scope, type, id), LOCK_TYPE_LOCKED, duration);
+      await CacheService.resetCounter(failureKey);
+
+      console.warn(`Auth lock (${scope}) on ${type} ${id} for ${duration}s after ${failures} failures`);
+
+      if (type === 'account') {
+        result.accountLocked = true;
+        result.retryAfter = duration;
+      }
+    } else if (failures >= BACKOFF_START) {
+      const delay = Math.min(2 ** (failures - 1), MAX_BACKOFF);
+      await CacheService.setCounter(key('lock', scope, type, id), LOCK_TYPE_BACKOFF, delay);
+    }
+  }
+
+  return result;
+};
+
+// Forget failures after a successful attempt (lock history is kept for escalation)
+const clearFailures = async (scope, identifiers) => {
+  for (const { type, id } of getIdentifiers(identifiers)) {
+    if (type !== 'account') continue;
+    await CacheService.resetCounter(key('fail', scope, type, id));
+    await CacheService.resetCounter(key('lock', scope, type, id));
+  }
+};
+
+// Tell the owner their account was locked
+const notifyAccountLocked = async (user, retryAfter) => {
+  try {
+    const minutes = Math.ceil(retryAfter / 60);
+
+    await sendPushToUser(
+      user,
+      'Sign-in paused',
+      `Several failed sign-in attempts were made on your account. Sign-in is paused for ${minutes} minutes.`,
+      { type: 'account_locked' }
+    );
+
+    if (user.email) {
+      await sendAccountLockedEmail(user.email, user.name, retryAfter);
+    }
+  } catch (error) {
+    console.error('Account lock notification error:', error);
+  }
+};
+
+module.exports = {
+  consume,
+  peek,
+  getLock,
+  recordFailure,
+  clearFailures,
+  notifyAccountLocked
+};
@@ -0,0 +1,130 @@
+const Report = require('../models/Report');
+const Connection = require('../models/Connection');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { consume, peek } = require('./rateLimit');
+const { blockUser } = require('./blocking');
+
+// Reports from this many different people within the window throttle a user's connection requests
+const REPORT_THROTTLE_THRESHOLD = parseInt(process.env.REPORT_THROTTLE_THRESHOLD) || 3;
+const REPORT_THROTTLE_WINDOW = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const MAX_DETAILS_LENGTH = 1000;
+
+// Reports one user may file
+const REPORT_LIMIT = { max: 20, windowSeconds: 60 * 60 };
+
+// Connection requests a throttled user may still send
+const THROTTLED_REQUEST_LIMIT = { max: 2, windowSeconds: 24 * 60 * 60 };
+
+// File a report against a user, or against a notification the reporter received.
+// With `block`, the reporter also blocks the reported user.
+// Returns { success, report } or { success: false, error, code, retryAfter }
+const createReport = async (reporterId, { targetType, userId, notificationId, reason, details, evidence, block }) => {
+  const limit = await consume('report-sender', reporterId.toString(), REPORT_LIMIT.max, REPORT_LIMIT.windowSeconds);
+  if (!limit.allowed) {
+    return { success: false, error: 'Too many reports. Please try again later', code: 'RATE_LIMITED', retryAfter: limit.retryAfter };
+  }
+
+  if (details && details.length > MAX_DETAILS_LENGTH) {
+    return { success: false, error: `Details must be at most ${MAX_DETAILS_LENGTH} characters`, code: 'DETAILS_TOO_LONG' };
+  }
+
+  let reportedUserId;
+  let notification = null;
+
+  if (targetType === 'notification') {
+    notification = await Notification.findOne({ _id: notificationId, receiverId: reporterId });
+    if (!notification) {
+      return { success: false, error: 'Notification not found' };
+    }
+    reportedUserId = notification.senderId;
+  } else {
+    const reportedUser = await User.exists({ _id: userId });
+    if (!reportedUser) {
+      return { success: false, error: 'User not found' };
+    }
+    reportedUserId = reportedUser._id;
+  }
+
+  if (reportedUserId.toString() === reporterId.toString()) {
+    return { success: false, error: 'Cannot report yourself', code: 'CANNOT_REPORT_SELF' };
+  }
+
+  const existing = await Report.exists({
+    reporterId,
+    reportedUserId,
+    notificationId: notification ? notification._id : null,
+    status: 'open'
+  });
+  if (existing) {
+    return { success: false, error: 'You have already reported this', code: 'ALREADY_REPORTED' };
+  }
+
+  const report = await Report.create({
+    reporterId,
+    reportedUserId,
+    targetType,
+    notificationId: notification ? notification._id : null,
+    notificationSnapshot: notification ? {
+      notificationType: notification.type,
+      title: notification.title,
+      message: notification.message,
+      sentAt: notification.createdAt
+    } : undefined,
+    reason,
+    details: details || null,
+    evidence: evidence || []
+  });
+
+  if (block) {
+    await blockUser(reporterId, reportedUserId);
+  }
+
+  return { success: true, report };
+};
+
+// Reporters the throttle listens to: verified accounts the user actually reached,
+// with a connection request or a notification. A few throwaway accounts can't
+// throttle someone they never heard from.
+const countCredibleReporters = async (userId, since) => {
+  const reporterIds = await Report.findReporterIds(userId, since);
+  if (reporterIds.length < REPORT_THROTTLE_THRESHOLD) return reporterIds.length;
+
+  const verifiedIds = await User.distinct('_id', { _id: { $in: reporterIds }, isVerified: true });
+
+  const [requests, notifiedIds] = await Promise.all([
+    Connection.find({
+      initiatedBy: userId,
+      $or: [{ userId: { $in: verifiedIds } }, { connectedUserId: { $in: verifiedIds } }]
+    }).select('userId connectedUserId'),
+    Notification.distinct('receiverId', { senderId: userId, receiverId: { $in: verifiedIds } })
+  ]);
+
+  const reached = new Set(notifiedIds.map(id => id.toString()));
+  for (const request of requests) {
+    reached.add((request.userId.equals(userId) ? request.connectedUserId : request.userId).toString());
+  }
+  return reached.size;
+};
+
+// Check whether a user with repeated reports may send another connection request
+// Returns { allowed, retryAfter, throttled }
+const checkRequestThrottle = async (userId) => {
+  const since = new Date(Date.now() - REPORT_THROTTLE_WINDOW);
+  const reporters = await countCredibleReporters(userId, since);
+  if (reporters < REPORT_THROTTLE_THRESHOLD) {
+    return { allowed: true, retryAfter: 0, throttled: false };
+  }
+
+  const result = await peek('reported-requests', userId.toString(), THROTTLED_REQUEST_LIMIT.max);
+  return { ...result, throttled: true };
+};
+
+// Count a request a throttled user has sent
+const recordThrottledRequest = async (userId) => {
+  const { max, windowSeconds } = THROTTLED_REQUEST_LIMIT;
+  await consume('reported-requests', userId.toString(), max, windowSeconds);
+};
+
+module.exports = { createReport, checkRequestThrottle, recordThrottledRequest };
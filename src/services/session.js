@@ -0,0 +1,316 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+
+// How stale lastUsedAt may get before an authenticated request refreshes it
+const LAST_USED_UPDATE_INTERVAL = 5 * 60 * 1000; // 5 minutes
+
+const getRefreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+// Error raised when a token belongs to a revoked, expired or unknown session
+const createSessionRevokedError = () => {
+  const error = new Error('Session revoked');
+  error.name = 'SessionRevokedError';
+  return error;
+};
+
+// Sign an access/refresh token pair bound to a session
+const signTokens = (session, refreshTokenId) => {
+  const userId = session.userId.toString();
+  const sessionId = session._id.toString();
+
+  const accessToken = jwt.sign(
+    { userId, sessionId, type: 'access' },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+  );
+
+  const refreshToken = jwt.sign(
+    { userId, sessionId, type: 'refresh' },
+    getRefreshSecret(),
+    { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '30d', jwtid: refreshTokenId }
+  );
+
+  // Session lives exactly as long as its newest refresh token
+  const expiresAt = new Date(jwt.decode(refreshToken).exp * 1000);
+
+  return { accessToken, refreshToken, expiresAt };
+};
+
+// Start a new session for a user and issue its first token pair
+// meta: { deviceName, ip, userAgent } describing where the login happened,
+// plus legacyTokenHash when the session replaces a pre-session refresh token
+const createSession = async (userId, meta = {}) => {
+  const session = new Session({
+    userId,
+    refreshTokenId: crypto.randomUUID(),
+    deviceName: meta.deviceName || null,
+    ip: meta.ip || null,
+    userAgent: meta.userAgent || null,
+    ...(meta.legacyTokenHash && { legacyTokenHash: meta.legacyTokenHash })
+  });
+
+  const { accessToken, refreshToken, expiresAt } = signTokens(session, session.refreshTokenId);
+  session.expiresAt = expiresAt;
+  await session.save();
+
+  return { session, accessToken, refreshToken };
+};
+
+// Remember which device a session runs on, so logout can drop only that device
+const bindSessionDevice = async (session, deviceId) => {
+  if (!session || session.deviceId === deviceId) return;
+  await Session.updateOne({ _id: session._id }, { deviceId });
+  session.deviceId = deviceId;
+};
+
+// Drop what a revoked session leaves behind: its push device and live sockets
+const cleanupRevokedSession = async (session) => {
+  if (session.deviceId) {
+    await User.removeDevice(session.userId, session.deviceId);
+  }
+
+  // Required lazily: config/socket depends on this module for the handshake
+  const { disconnectSession } = require('../config/socket');
+  disconnectSession(session._id.toString());
+};
+
+// Error raised when a valid token belongs to a banned account
+const createAccountBannedError = () => {
+  const error = new Error('Account banned');
+  error.name = 'AccountBannedError';
+  return error;
+};
+
+// Error raised when a personal access token is unknown, revoked or expired
+const createInvalidAccessTokenError = () => {
+  const error = new Error('Invalid access token');
+  error.name = 'InvalidAccessTokenError';
+  return error;
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId, reason = 'logout') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+
+  if (session) {
+    await cleanupRevokedSession(session);
+  }
+
+  return session;
+};
+
+// Revoke every active session of a user, optionally keeping one
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const query = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    query._id = { $ne: exceptSessionId };
+  }
+
+  const sessions = await Session.find(query);
+  if (sessions.length === 0) return 0;
+
+  await Session.updateMany(
+    { _id: { $in: sessions.map(s => s._id) } },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  for (const session of sessions) {
+    await cleanupRevokedSession(session);
+  }
+
+  return sessions.length;
+};
+
+// Refresh tokens issued before sessions existed carry no session id. Each one may be
+// exchanged once for a new session, so users signed in before sessions keep their login.
+const exchangeLegacyRefreshToken = async (refreshToken, decoded, meta) => {
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  if (user.isBanned()) {
+    return { success: false, error: 'This account has been suspended', code: 'ACCOUNT_BANNED' };
+  }
+
+  // A password change signs these out just like it revokes sessions
+  if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+    return { success: false, error: 'Session revoked', code: 'SESSION_REVOKED' };
+  }
+
+  const legacyTokenHash = crypto.createHash('sha256').update(refreshToken).digest('hex');
+
+  try {
+    const { session, accessToken, refreshToken: nextRefreshToken } = await createSession(user._id, { ...meta, legacyTokenHash });
+    return { success: true, session, user, tokens: { accessToken, refreshToken: nextRefreshToken } };
+  } catch (error) {
+    if (error.code === 11000) {
+      return { success: false, error: 'Refresh token reuse detected', code: 'REFRESH_TOKEN_REUSED' };
+    }
+    throw error;
+  }
+};
+
+// Exchange a refresh token for a new pair. Each refresh token is single-use:
+// presenting an already rotated token revokes the whole session.
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, getRefreshSecret());
+  } catch (error) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  if (decoded.type === 'refresh' && !decoded.sessionId && !decoded.jti) {
+    return await exchangeLegacyRefreshToken(refreshToken, decoded, meta);
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sessionId || !decoded.jti) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || session.userId.toString() !== decoded.userId) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  if (!session.isActive()) {
+    return { success: false, error: 'Session revoked', code: 'SESSION_REVOKED' };
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user) {
+    return { success: false, error: 'User not found' };
+  }
+
+  if (user.isBanned()) {
+    return { success: false, error: 'This account has been suspended', code: 'ACCOUNT_BANNED' };
+  }
+
+  const nextTokenId = crypto.randomUUID();
+  const { accessToken, refreshToken: nextRefreshToken, expiresAt } = signTokens(session, nextTokenId);
+
+  // Conditional update so two concurrent refreshes with the same token cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenId: decoded.jti, revokedAt: null },
+    { refreshTokenId: nextTokenId, expiresAt, lastUsedAt: new Date(), ...(meta.ip && { ip: meta.ip }) },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await revokeSession(session._id, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected for session ${session._id}, session revoked`);
+    return { success: false, error: 'Refresh token reuse detected', code: 'REFRESH_TOKEN_REUSED' };
+  }
+
+  // A refresh means the device is alive
+  if (rotated.deviceId) {
+    await User.updateOne(
+      { _id: user._id, 'devices.deviceId': rotated.deviceId },
+      { $set: { 'devices.$.lastSeenAt': new Date() } }
+    );
+  }
+
+  return {
+    success: true,
+    session: rotated,
+    user,
+    tokens: { accessToken, refreshToken: nextRefreshToken }
+  };
+};
+
+// Verify an access token and make sure its session is still active.
+// Throws JWT errors for bad tokens, SessionRevokedError for dead sessions
+// and AccountBannedError for banned users.
+const authenticateAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Refresh and 2FA challenge tokens can share the secret, so only access tokens get in.
+  // Access tokens issued before the type claim existed have none.
+  if (decoded.type && decoded.type !== 'access') {
+    throw new jwt.JsonWebTokenError('invalid token type');
+  }
+
+  // Tokens issued before sessions existed cannot be revoked. They are treated as
+  // expired, so clients refresh and exchange their refresh token for a session.
+  if (!decoded.sessionId) {
+    throw new jwt.TokenExpiredError('jwt expired', new Date(decoded.iat * 1000));
+  }
+
+  const session = await Session.findById(decoded.sessionId);
+  if (!session || !session.isActive() || session.userId.toString() !== decoded.userId) {
+    throw createSessionRevokedError();
+  }
+
+  if (Date.now() - session.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+    Session.updateOne({ _id: session._id }, { lastUsedAt: new Date() }).catch(err => {
+      console.error('Session lastUsedAt update error:', err.message);
+    });
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (user && user.isBanned()) {
+    throw createAccountBannedError();
+  }
+
+  return { user, session };
+};
+
+// Revoke every personal access token of a user
+const revokeAllAccessTokens = async (userId) => {
+  const result = await PersonalAccessToken.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+};
+
+// Personal access tokens carry a fixed prefix; anything else is treated as a JWT
+const isPersonalAccessToken = (token) => token.startsWith(PersonalAccessToken.TOKEN_PREFIX);
+
+// Look up a personal access token and its user, recording when and where it was used.
+// Throws InvalidAccessTokenError for dead tokens and AccountBannedError for banned users.
+const authenticatePersonalAccessToken = async (token, ip = null) => {
+  const accessToken = await PersonalAccessToken.findActiveByToken(token);
+  if (!accessToken) {
+    throw createInvalidAccessTokenError();
+  }
+
+  const user = await User.findById(accessToken.userId);
+  if (!user) {
+    throw createInvalidAccessTokenError();
+  }
+  if (user.isBanned()) {
+    throw createAccountBannedError();
+  }
+
+  if (!accessToken.lastUsedAt || Date.now() - accessToken.lastUsedAt.getTime() > LAST_USED_UPDATE_INTERVAL) {
+    PersonalAccessToken.updateOne(
+      { _id: accessToken._id },
+      { lastUsedAt: new Date(), lastUsedIp: ip }
+    ).catch(err => {
+      console.error('Access token lastUsedAt update error:', err.message);
+    });
+  }
+
+  return { user, accessToken };
+};
+
+module.exports = {
+  createSession,
+  bindSessionDevice,
+  revokeSession,
+  revokeAllSessions,
+  rotateRefreshToken,
+  authenticateAccessToken,
+  revokeAllAccessTokens,
+  isPersonalAccessToken,
+  authenticatePersonalAccessToken
+};
@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+// Provider is picked from SMS_PROVIDER: 'twilio' in production, 'console' or 'file' for local development
+// Outside production it falls back to 'console'. In production it must be set, so codes and
+// links are never written to the logs by accident.
+const getProvider = () => {
+  if (process.env.SMS_PROVIDER) return process.env.SMS_PROVIDER.toLowerCase();
+  return process.env.NODE_ENV === 'production' ? null : 'console';
+};
+
+if (!getProvider()) {
+  console.error('SMS_PROVIDER is not set. No SMS will be sent until it is configured.');
+}
+
+// Log the message to stdout (default for development)
+const sendViaConsole = async (phone, message) => {
+  console.log('[DEV] SMS:', { to: phone, message });
+  return { success: true, message: 'SMS logged (no SMS provider configured)' };
+};
+
+// Append the message to a local file so codes can be read without a real SMS gateway
+const sendViaFile = async (phone, message) => {
+  const filePath = process.env.SMS_FILE_PATH || path.join(process.cwd(), 'tmp', 'sms.log');
+
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.appendFile(
+    filePath,
+    `${JSON.stringify({ to: phone, message, sentAt: new Date().toISOString() })}\n`
+  );
+
+  return { success: true, message: `SMS written to ${filePath}` };
+};
+
+// Send through the Twilio REST API
+const sendViaTwilio = async (phone, message) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const from = process.env.TWILIO_FROM_NUMBER;
+
+  if (!accountSid || !authToken || !from) {
+    throw new Error('Twilio credentials not configured');
+  }
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ To: phone, From: from, Body: message })
+  });
+
+  const result = await response.json();
+
+  if (!response.ok) {
+    throw new Error(result.message || `Twilio responded with ${response.status}`);
+  }
+
+  return { success: true, messageId: result.sid };
+};
+
+const providers = {
+  console: sendViaConsole,
+  file: sendViaFile,
+  twilio: sendViaTwilio
+};
+
+// Send an SMS through the configured provider
+const sendSms = async (phone, message) => {
+  const provider = providers[getProvider()];
+
+  if (!provider) {
+    console.error(getProvider() ? `Unknown SMS provider: ${getProvider()}` : 'SMS_PROVIDER is not set');
+    return { success: false, error: 'SMS provider not configured' };
+  }
+
+  try {
+    return await provider(phone, message);
+  } catch (error) {
+    console.error('Error sending SMS:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+// Send a one-time password
+const sendOtpSms = async (phone, otp) => {
+  return await sendSms(phone, `Your Couple App verification code is ${otp}. It expires in 10 minutes.`);
+};
+
+// Let the previous number know it was removed from an account
+const sendPhoneChangedSms = async (phone) => {
+  return await sendSms(phone, 'This number was removed from a Couple App account. If you didn\'t do this, contact support.');
+};
+
+// Invite someone who isn't on Couple App yet
+const sendInviteSms = async (phone, inviterName, inviteUrl) => {
+  return await sendSms(phone, `${inviterName} invited you to join them on Couple App: ${inviteUrl}`);
+};
+
+module.exports = {
+  sendSms,
+  sendOtpSms,
+  sendPhoneChangedSms,
+  sendInviteSms
+};
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+
+// Driver is picked from STORAGE_DRIVER: 'local' writes to disk for development,
+// 's3' talks to any S3-compatible object store (AWS, R2, MinIO, ...)
+const getDriverName = () => (process.env.STORAGE_DRIVER || 'local').toLowerCase();
+
+const getUploadDir = () => process.env.UPLOAD_DIR || path.join(process.cwd(), 'tmp', 'uploads');
+
+// Keys are generated by the app, but never let one climb out of the upload dir
+const resolveLocalPath = (key) => {
+  const root = path.resolve(getUploadDir());
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const localDriver = {
+  async put(key, body) {
+    const filePath = resolveLocalPath(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, body);
+  },
+
+  async delete(key) {
+    await fs.promises.rm(resolveLocalPath(key), { force: true });
+  },
+
+  // Served by the /uploads static route in app.js
+  getUrl(key) {
+    return `${process.env.API_URL || ''}/uploads/${key}`;
+  }
+};
+
+let s3Client;
+
+// Required lazily so development setups don't load the AWS SDK
+const getS3 = () => {
+  if (!s3Client) {
+    const { S3Client } = require('@aws-sdk/client-s3');
+
+    if (!process.env.S3_BUCKET) {
+      throw new Error('S3_BUCKET not configured');
+    }
+
+    s3Client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID ? {
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+      } : undefined
+    });
+  }
+  return s3Client;
+};
+
+const s3Driver = {
+  async put(key, body, contentType) {
+    const { PutObjectCommand } = require('@aws-sdk/client-s3');
+    await getS3().send(new PutObjectCommand({
+      Bucket: process.env.S3_BUCKET,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      // Keys never get overwritten, so clients may cache forever
+      CacheControl: 'public, max-age=31536000, immutable'
+    }));
+  },
+
+  async delete(key) {
+    const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    await getS3().send(new DeleteObjectCommand({ Bucket: process.env.S3_BUCKET, Key: key }));
+  },
+
+  // S3_PUBLIC_URL is the bucket's public base (a CDN or the bucket website)
+  getUrl(key) {
+    const base = process.env.S3_PUBLIC_URL
+      || `https://${process.env.S3_BUCKET}.s3.${process.env.S3_REGION || 'us-east-1'}.amazonaws.com`;
+    return `${base.replace(/\/$/, '')}/${key}`;
+  }
+};
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver
+};
+
+const getDriver = () => {
+  const driver = drivers[getDriverName()];
+  if (!driver) {
+    throw new Error(`Unknown storage driver: ${getDriverName()}`);
+  }
+  return driver;
+};
+
+// Store an object under a key
+const putObject = async (key, body, contentType) => {
+  await getDriver().put(key, body, contentType);
+};
+
+// Delete an object. Missing objects are not an error.
+const deleteObject = async (key) => {
+  await getDriver().delete(key);
+};
+
+// Public URL of a stored object
+const getObjectUrl = (key) => getDriver().getUrl(key);
+
+// Whether app.js should serve the local upload dir
+const isLocalStorage = () => getDriverName() === 'local';
+
+module.exports = {
+  putObject,
+  deleteObject,
+  getObjectUrl,
+  isLocalStorage,
+  getUploadDir
+};
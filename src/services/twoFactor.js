@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const { authenticator } = require('otplib');
+
+// Accept the previous and next 30s step to absorb clock drift
+const totp = authenticator.clone({ window: 1 });
+
+const ISSUER = 'Couple App';
+const RECOVERY_CODE_COUNT = 10;
+
+// How long a password-verified login may wait for its second factor
+const CHALLENGE_TOKEN_EXPIRES_IN = '5m';
+
+const hashRecoveryCode = (code) => {
+  const normalized = code.replace(/[\s-]/g, '').toLowerCase();
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+// Create a new TOTP secret and the QR code an authenticator app can scan
+const createProvisioning = async (accountName) => {
+  const secret = totp.generateSecret();
+  const otpauthUrl = totp.keyuri(accountName, ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Check a TOTP code. Returns the time step it matched, or null.
+// Callers store the step so the same code cannot be replayed.
+const verifyTotpCode = (secret, code, lastUsedStep = null) => {
+  if (!secret || !/^\d{6}$/.test(String(code))) return null;
+
+  const delta = totp.checkDelta(String(code), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / totp.allOptions().step) + delta;
+  if (lastUsedStep !== null && step <= lastUsedStep) return null;
+
+  return step;
+};
+
+// Generate one-time recovery codes; only their hashes are stored
+const generateRecoveryCodes = () => {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return {
+    codes,
+    hashed: codes.map(code => ({ codeHash: hashRecoveryCode(code), usedAt: null }))
+  };
+};
+
+// Mark a recovery code as used. Returns false if it's unknown or already spent.
+const consumeRecoveryCode = (user, code) => {
+  const codeHash = hashRecoveryCode(String(code));
+  const entry = user.twoFactor.recoveryCodes.find(c => c.codeHash === codeHash && !c.usedAt);
+  if (!entry) return false;
+
+  entry.usedAt = new Date();
+  return true;
+};
+
+// Check a second factor (TOTP or recovery code) for a user loaded with twoFactor secrets
+// Returns { valid, method } and updates the user document; the caller saves it.
+const verifySecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyTotpCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+    if (step === null) {
+      return { valid: false };
+    }
+    user.twoFactor.lastUsedStep = step;
+    return { valid: true, method: 'totp' };
+  }
+
+  if (recoveryCode && consumeRecoveryCode(user, recoveryCode)) {
+    return { valid: true, method: 'recovery_code' };
+  }
+
+  return { valid: false };
+};
+
+// Short-lived token proving the password step of a 2FA login succeeded
+const createChallengeToken = (userId) => {
+  return jwt.sign(
+    { userId: userId.toString(), type: '2fa_challenge' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TOKEN_EXPIRES_IN }
+  );
+};
+
+// Returns the user id of a valid challenge token, or null
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.type === '2fa_challenge' ? decoded.userId : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createProvisioning,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  verifySecondFactor,
+  createChallengeToken,
+  verifyChallengeToken
+};